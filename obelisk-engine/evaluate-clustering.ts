@@ -0,0 +1,123 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { clusterNewsItems, CLUSTER_CONFIGS, ClusterOptions } from './src/cluster';
+import { goldLabels, predictedLabels, scoreClustering, ClusteringScores, GoldStories } from './src/cluster-eval';
+import { tagEntities } from './src/entities';
+import { NewsItem } from './src/types';
+
+// Scores clusterNewsItems against the labelled stories in
+// test-data/clustering/gold.json, per section, using the items in
+// test-data/clustering/items.json.
+// Run with: npm run eval:clustering [-- --section global] [-- --sweep] [-- --debug 3]
+//
+// --debug N logs the pairwise similarity matrix of each cluster with at
+// least N items under the current config.
+//
+// --sweep also tries a grid of thresholds and TF-IDF weights per section and
+// prints the settings with the best B-cubed F1. Ties go to ARI, then to the
+// settings closest to the section's current config, so a flat stretch of the
+// grid doesn't suggest an arbitrary change.
+
+const FIXTURE_DIR = path.join(__dirname, 'test-data', 'clustering');
+
+const SWEEP = {
+  similarityThreshold: [0.10, 0.12, 0.14, 0.16, 0.18, 0.20, 0.22, 0.25, 0.28, 0.32, 0.36, 0.40],
+  minPairSimilarity: [0.04, 0.06, 0.08, 0.10, 0.12, 0.15],
+  tfidfWeight: [0, 0.1, 0.2, 0.3, 0.4, 0.5]
+};
+
+function parseArgs(argv: string[]): { section?: string; sweep: boolean; debugMatrixMinSize?: number } {
+  const sectionIndex = argv.indexOf('--section');
+  const debugIndex = argv.indexOf('--debug');
+  return {
+    section: sectionIndex >= 0 ? argv[sectionIndex + 1] : undefined,
+    sweep: argv.includes('--sweep'),
+    debugMatrixMinSize: debugIndex >= 0 ? parseInt(argv[debugIndex + 1], 10) || 2 : undefined
+  };
+}
+
+function evaluate(items: NewsItem[], stories: GoldStories, options: ClusterOptions): ClusteringScores {
+  return scoreClustering(predictedLabels(clusterNewsItems(items, options)), goldLabels(items, stories));
+}
+
+function formatScores(scores: ClusteringScores): string {
+  const pct = (value: number) => value.toFixed(3);
+  return [
+    `pairwise P ${pct(scores.pairwise.precision)} R ${pct(scores.pairwise.recall)} F1 ${pct(scores.pairwise.f1)}`,
+    `B-cubed F1 ${pct(scores.bcubed.f1)}`,
+    `ARI ${pct(scores.ari)}`,
+    `${scores.clusters} clusters / ${scores.stories} stories`
+  ].join(' | ');
+}
+
+function formatOptions(options: ClusterOptions): string {
+  return `{ similarityThreshold: ${options.similarityThreshold}, minPairSimilarity: ${options.minPairSimilarity}, tfidfWeight: ${options.tfidfWeight} }`;
+}
+
+function distance(a: ClusterOptions, b: ClusterOptions): number {
+  return Math.abs((a.similarityThreshold ?? 0.18) - (b.similarityThreshold ?? 0.18)) +
+    Math.abs((a.minPairSimilarity ?? 0.08) - (b.minPairSimilarity ?? 0.08)) +
+    Math.abs((a.tfidfWeight ?? 0) - (b.tfidfWeight ?? 0));
+}
+
+function sweep(items: NewsItem[], stories: GoldStories, current: ClusterOptions): { options: ClusterOptions; scores: ClusteringScores } {
+  let best: { options: ClusterOptions; scores: ClusteringScores } | undefined;
+
+  for (const similarityThreshold of SWEEP.similarityThreshold) {
+    for (const minPairSimilarity of SWEEP.minPairSimilarity) {
+      // A pair floor above the merge threshold would reject every merge
+      if (minPairSimilarity > similarityThreshold) continue;
+      for (const tfidfWeight of SWEEP.tfidfWeight) {
+        const options = { similarityThreshold, minPairSimilarity, tfidfWeight };
+        const scores = evaluate(items, stories, options);
+        if (
+          !best ||
+          scores.bcubed.f1 > best.scores.bcubed.f1 ||
+          (scores.bcubed.f1 === best.scores.bcubed.f1 && scores.ari > best.scores.ari) ||
+          (scores.bcubed.f1 === best.scores.bcubed.f1 && scores.ari === best.scores.ari &&
+            distance(options, current) < distance(best.options, current))
+        ) {
+          best = { options, scores };
+        }
+      }
+    }
+  }
+
+  return best!;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sections: Record<string, NewsItem[]> = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, 'items.json'), 'utf-8'));
+  const gold: Record<string, GoldStories> = JSON.parse(await fs.readFile(path.join(FIXTURE_DIR, 'gold.json'), 'utf-8'));
+
+  const names = args.section ? [args.section] : Object.keys(sections);
+  for (const name of names) {
+    if (!sections[name]) {
+      console.error(`Unknown section "${name}"; the fixture has: ${Object.keys(sections).join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  for (const name of names) {
+    // Entities are tagged before clustering in the pipeline, so tag them here too
+    const items = tagEntities(sections[name]);
+    const stories = gold[name] || {};
+    const config = CLUSTER_CONFIGS[name] || {};
+
+    console.log(`\n${name} (${items.length} items)`);
+    const current = evaluate(items, stories, { ...config, debugMatrixMinSize: args.debugMatrixMinSize });
+    console.log(`  current  ${formatScores(current)}`);
+
+    if (args.sweep) {
+      const best = sweep(items, stories, config);
+      console.log(`  best     ${formatScores(best.scores)}`);
+      console.log(`  settings ${formatOptions(best.options)}`);
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Clustering evaluation failed:', error);
+  process.exit(1);
+});
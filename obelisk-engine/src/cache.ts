@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Small keyed JSON caches persisted between runs: a local file for the
+// GitHub Actions processor, KV for the Worker.
+export interface Cache<T> {
+  get(key: string): Promise<T | undefined>;
+  set(key: string, value: T): Promise<void>;
+  flush(): Promise<void>;
+}
+
+export interface FileCacheOptions {
+  pruneUntouched?: boolean; // Drop entries not read or written during this run on flush
+}
+
+// Entries are kept in memory during a run and written out once by flush()
+export class FileCache<T> implements Cache<T> {
+  private cacheFile: string;
+  private entries: Record<string, T> | null = null;
+  private loading: Promise<Record<string, T>> | null = null;
+  private touched = new Set<string>();
+  private dirty = false;
+
+  constructor(cacheFileName: string, private options: FileCacheOptions = {}) {
+    this.cacheFile = path.join(process.cwd(), cacheFileName);
+  }
+
+  // Callers work concurrently, so share a single read of the file
+  private load(): Promise<Record<string, T>> {
+    if (!this.loading) {
+      this.loading = fs.readFile(this.cacheFile, 'utf-8')
+        .then(data => JSON.parse(data))
+        .catch(() => ({})) // File doesn't exist or is invalid, start empty
+        .then(entries => (this.entries = entries));
+    }
+    return this.loading;
+  }
+
+  async get(key: string): Promise<T | undefined> {
+    const entries = await this.load();
+    this.touched.add(key);
+    return entries[key];
+  }
+
+  async set(key: string, value: T): Promise<void> {
+    const entries = await this.load();
+    entries[key] = value;
+    this.touched.add(key);
+    this.dirty = true;
+  }
+
+  async flush(): Promise<void> {
+    if (!this.entries) return;
+
+    if (this.options.pruneUntouched) {
+      for (const key of Object.keys(this.entries)) {
+        if (!this.touched.has(key)) {
+          delete this.entries[key];
+          this.dirty = true;
+        }
+      }
+    }
+
+    if (!this.dirty) return;
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    await fs.writeFile(this.cacheFile, JSON.stringify(this.entries));
+    this.dirty = false;
+  }
+}
+
+// One KV key per entry; writes go straight to KV
+export class KVCache<T> implements Cache<T> {
+  constructor(
+    private kv: KVNamespace,
+    private keyPrefix: string,
+    private ttlSeconds: number = 7 * 86400
+  ) {}
+
+  async get(key: string): Promise<T | undefined> {
+    const value = await this.kv.get(`${this.keyPrefix}${key}`, 'json');
+    return (value as T) || undefined;
+  }
+
+  async set(key: string, value: T): Promise<void> {
+    await this.kv.put(`${this.keyPrefix}${key}`, JSON.stringify(value), {
+      expirationTtl: this.ttlSeconds
+    });
+  }
+
+  async flush(): Promise<void> {
+    // Nothing buffered
+  }
+}
@@ -0,0 +1,104 @@
+import { NewsItem, NewsCluster } from './types';
+
+// Scores a clustering against hand-labelled stories. Items are identified by
+// URL; a gold story lists the URLs that belong together, and any item not
+// listed is a story of its own.
+
+export type GoldStories = Record<string, string[]>; // Story label -> item URLs
+
+export interface PairwiseScores {
+  precision: number; // Share of predicted same-story pairs that are right
+  recall: number;    // Share of gold same-story pairs that were found
+  f1: number;
+}
+
+export interface ClusteringScores {
+  pairwise: PairwiseScores;
+  bcubed: PairwiseScores;
+  ari: number;       // Adjusted Rand index: 1 is perfect, ~0 is chance
+  clusters: number;
+  stories: number;
+}
+
+function f1(precision: number, recall: number): number {
+  return precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+}
+
+function pairs(n: number): number {
+  return n * (n - 1) / 2;
+}
+
+// One label per item URL. Unlabelled items get a label of their own.
+export function goldLabels(items: NewsItem[], stories: GoldStories): Map<string, string> {
+  const labels = new Map<string, string>();
+  for (const [story, urls] of Object.entries(stories)) {
+    for (const url of urls) labels.set(url, story);
+  }
+  for (const item of items) {
+    if (!labels.has(item.url)) labels.set(item.url, `single:${item.url}`);
+  }
+  return labels;
+}
+
+export function predictedLabels(clusters: NewsCluster[]): Map<string, string> {
+  const labels = new Map<string, string>();
+  clusters.forEach((cluster, index) => {
+    for (const item of cluster.items) labels.set(item.url, `cluster:${index}`);
+  });
+  return labels;
+}
+
+// Scores over the gold items. An item missing from `predicted` (dropped as a
+// duplicate, say) counts as a cluster of its own.
+export function scoreClustering(predicted: Map<string, string>, gold: Map<string, string>): ClusteringScores {
+  const urls = [...gold.keys()];
+  const predictedOf = (url: string) => predicted.get(url) ?? `missing:${url}`;
+
+  // Contingency table: items per (predicted cluster, gold story)
+  const cells = new Map<string, number>();
+  const predictedSizes = new Map<string, number>();
+  const goldSizes = new Map<string, number>();
+  for (const url of urls) {
+    const p = predictedOf(url);
+    const g = gold.get(url)!;
+    const cell = `${p}\u0000${g}`;
+    cells.set(cell, (cells.get(cell) || 0) + 1);
+    predictedSizes.set(p, (predictedSizes.get(p) || 0) + 1);
+    goldSizes.set(g, (goldSizes.get(g) || 0) + 1);
+  }
+
+  const togetherInBoth = [...cells.values()].reduce((sum, n) => sum + pairs(n), 0);
+  const togetherPredicted = [...predictedSizes.values()].reduce((sum, n) => sum + pairs(n), 0);
+  const togetherGold = [...goldSizes.values()].reduce((sum, n) => sum + pairs(n), 0);
+
+  // No pairs to find (or none claimed) is a perfect score on that side
+  const pairPrecision = togetherPredicted > 0 ? togetherInBoth / togetherPredicted : 1;
+  const pairRecall = togetherGold > 0 ? togetherInBoth / togetherGold : 1;
+
+  // B-cubed: per item, how much of its cluster shares its story and how much
+  // of its story shares its cluster
+  let bcubedPrecision = 0;
+  let bcubedRecall = 0;
+  for (const url of urls) {
+    const p = predictedOf(url);
+    const g = gold.get(url)!;
+    const overlap = cells.get(`${p}\u0000${g}`)!;
+    bcubedPrecision += overlap / predictedSizes.get(p)!;
+    bcubedRecall += overlap / goldSizes.get(g)!;
+  }
+  bcubedPrecision /= urls.length || 1;
+  bcubedRecall /= urls.length || 1;
+
+  // ARI (Hubert & Arabie): the Rand index corrected for chance agreement
+  const expected = pairs(urls.length) > 0 ? togetherPredicted * togetherGold / pairs(urls.length) : 0;
+  const maximum = (togetherPredicted + togetherGold) / 2;
+  const ari = maximum === expected ? 1 : (togetherInBoth - expected) / (maximum - expected);
+
+  return {
+    pairwise: { precision: pairPrecision, recall: pairRecall, f1: f1(pairPrecision, pairRecall) },
+    bcubed: { precision: bcubedPrecision, recall: bcubedRecall, f1: f1(bcubedPrecision, bcubedRecall) },
+    ari,
+    clusters: predictedSizes.size,
+    stories: goldSizes.size
+  };
+}
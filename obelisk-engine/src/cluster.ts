@@ -3,21 +3,32 @@ import {
   extractShingles,
   jaccardSimilarity,
   isSameArticle,
+  articleUrlKey,
   selectBestHeadline
 } from './normalize';
+import { lshCandidatePairs, LSHOptions } from './minhash';
+import { extractItemEntities, aggregateEntities } from './entities';
+import { buildTfidfVectors, cosineSimilarity, tfidfCandidatePairs, TfidfOptions } from './tfidf';
+import { getPublisher } from './feeds';
+import { orderForDiversity, summariseSourceMix } from './publishers';
 
 // Configuration options for clustering
 export interface ClusterOptions {
   similarityThreshold?: number;  // Threshold for Union-Find merging (default: 0.18)
   minPairSimilarity?: number;    // Minimum similarity for ALL pairs in a cluster (default: 0.08)
+  lsh?: LSHOptions;              // MinHash/LSH candidate generation (default: DEFAULT_LSH_OPTIONS)
+  exhaustive?: boolean;          // Compare every pair instead of LSH candidates (reference runs, tests)
+  tfidfWeight?: number;          // Share of TF-IDF cosine in pair similarity, 0-1; the rest is shingle Jaccard (default: 0)
+  tfidf?: TfidfOptions;
+  debugMatrixMinSize?: number;   // Log the pairwise similarity matrix of clusters with at least this many items
 }
 
 // Default configurations per section
 export const CLUSTER_CONFIGS: Record<string, ClusterOptions> = {
-  global: { similarityThreshold: 0.18, minPairSimilarity: 0.08 },
-  australia: { similarityThreshold: 0.18, minPairSimilarity: 0.08 },
-  technology: { similarityThreshold: 0.25, minPairSimilarity: 0.12 },
-  medical: { similarityThreshold: 0.20, minPairSimilarity: 0.10 }
+  global: { similarityThreshold: 0.18, minPairSimilarity: 0.08, tfidfWeight: 0.3 },
+  australia: { similarityThreshold: 0.18, minPairSimilarity: 0.08, tfidfWeight: 0.3 },
+  technology: { similarityThreshold: 0.25, minPairSimilarity: 0.12, tfidfWeight: 0.3 },
+  medical: { similarityThreshold: 0.16, minPairSimilarity: 0.10, tfidfWeight: 0.3 }
 };
 
 class UnionFind {
@@ -73,23 +84,27 @@ class UnionFind {
   }
 }
 
+function allPairs(count: number): Array<[number, number]> {
+  const pairs: Array<[number, number]> = [];
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      pairs.push([i, j]);
+    }
+  }
+  return pairs;
+}
+
 // Validate that all pairs in a cluster meet minimum similarity threshold
 function validateCluster(
   memberIds: string[],
-  similarityMap: Map<string, number>,
+  pairSimilarity: (id1: string, id2: string) => number,
   minPairSimilarity: number
 ): boolean {
   if (memberIds.length <= 1) return true;
 
   for (let i = 0; i < memberIds.length; i++) {
     for (let j = i + 1; j < memberIds.length; j++) {
-      // Create consistent key (smaller id first)
-      const id1 = memberIds[i];
-      const id2 = memberIds[j];
-      const key = id1 < id2 ? `${id1}:${id2}` : `${id2}:${id1}`;
-
-      const similarity = similarityMap.get(key) || 0;
-      if (similarity < minPairSimilarity) {
+      if (pairSimilarity(memberIds[i], memberIds[j]) < minPairSimilarity) {
         return false;  // Cluster contains unrelated articles (transitive false positive)
       }
     }
@@ -97,6 +112,110 @@ function validateCluster(
   return true;
 }
 
+// Re-partition a component that failed validation with average-linkage
+// agglomerative clustering: starting from single items, repeatedly merge the
+// two groups with the highest mean pair similarity, as long as that mean
+// reaches the merge threshold and every pair in the result still clears the
+// minimum. Coherent sub-stories come out whole; items that fit nowhere are
+// left on their own.
+function splitComponent(
+  memberIds: string[],
+  pairSimilarity: (id1: string, id2: string) => number,
+  similarityThreshold: number,
+  minPairSimilarity: number
+): string[][] {
+  const groups = memberIds.map(id => [id]);
+
+  const linkage = (a: string[], b: string[]): { average: number; weakest: number } => {
+    let total = 0;
+    let weakest = Infinity;
+    for (const id1 of a) {
+      for (const id2 of b) {
+        const similarity = pairSimilarity(id1, id2);
+        total += similarity;
+        weakest = Math.min(weakest, similarity);
+      }
+    }
+    return { average: total / (a.length * b.length), weakest };
+  };
+
+  while (groups.length > 1) {
+    let best: { i: number; j: number; average: number } | undefined;
+    for (let i = 0; i < groups.length; i++) {
+      for (let j = i + 1; j < groups.length; j++) {
+        const { average, weakest } = linkage(groups[i], groups[j]);
+        if (average >= similarityThreshold && weakest >= minPairSimilarity && (!best || average > best.average)) {
+          best = { i, j, average };
+        }
+      }
+    }
+    if (!best) break;
+
+    groups[best.i] = [...groups[best.i], ...groups[best.j]];
+    groups.splice(best.j, 1);
+  }
+
+  return groups;
+}
+
+interface ClusterDiagnostics {
+  medoid: number;          // Index of the item with the highest mean similarity to the others
+  meanSimilarity?: number; // Mean over all pairs; undefined for a single item
+  weakest?: { a: number; b: number; similarity: number };
+}
+
+// Medoid and pair statistics for one cluster. On a tie the earlier (newer)
+// item is the medoid.
+function clusterDiagnostics(
+  memberIds: string[],
+  pairSimilarity: (id1: string, id2: string) => number
+): ClusterDiagnostics {
+  if (memberIds.length <= 1) return { medoid: 0 };
+
+  const totals = new Array(memberIds.length).fill(0);
+  let sum = 0;
+  let weakest: ClusterDiagnostics['weakest'];
+  for (let a = 0; a < memberIds.length; a++) {
+    for (let b = a + 1; b < memberIds.length; b++) {
+      const similarity = pairSimilarity(memberIds[a], memberIds[b]);
+      totals[a] += similarity;
+      totals[b] += similarity;
+      sum += similarity;
+      if (!weakest || similarity < weakest.similarity) {
+        weakest = { a, b, similarity };
+      }
+    }
+  }
+
+  let medoid = 0;
+  totals.forEach((total, index) => {
+    if (total > totals[medoid]) medoid = index;
+  });
+
+  return {
+    medoid,
+    meanSimilarity: sum / (memberIds.length * (memberIds.length - 1) / 2),
+    weakest
+  };
+}
+
+function logSimilarityMatrix(
+  items: NewsItem[],
+  memberIds: string[],
+  pairSimilarity: (id1: string, id2: string) => number
+): void {
+  const lines = [`Similarity matrix for "${items[0].title}" (${items.length} items):`];
+  items.forEach((item, index) => {
+    lines.push(`  [${index}] ${item.source}: ${item.title}`);
+  });
+  lines.push('      ' + memberIds.map((_, index) => `[${index}]`.padStart(6)).join(''));
+  memberIds.forEach((id1, row) => {
+    const cells = memberIds.map((id2, column) => (row === column ? '-' : pairSimilarity(id1, id2).toFixed(2)).padStart(6));
+    lines.push(`  ${`[${row}]`.padEnd(4)}${cells.join('')}`);
+  });
+  console.log(lines.join('\n'));
+}
+
 export function clusterNewsItems(
   items: NewsItem[],
   optionsOrThreshold: ClusterOptions | number = {}
@@ -110,134 +229,166 @@ export function clusterNewsItems(
 
   const similarityThreshold = options.similarityThreshold ?? 0.18;
   const minPairSimilarity = options.minPairSimilarity ?? 0.08;
+  const tfidfWeight = options.tfidfWeight ?? 0;
 
-  // Deduplicate by URL first
+  // Deduplicate by URL first. Items are keyed by canonical URL and by
+  // domain + path, so each lookup is a map hit rather than a scan.
   const uniqueItems = new Map<string, NewsItem>();
-  const itemIds = new Map<NewsItem, string>();
+  const idsByCanonical = new Map<string, string>();
+  const idsByUrl = new Map<string, string>();
 
   items.forEach((item, index) => {
     const id = `item_${index}`;
-    itemIds.set(item, id);
+    const urlKey = articleUrlKey(item.url);
 
     // Check if we already have this exact article
-    let isDuplicate = false;
-    for (const [existingId, existingItem] of uniqueItems) {
-      if (isSameArticle(item, existingItem)) {
-        isDuplicate = true;
-        // Keep the one with more content
-        if ((item.content?.length || 0) > (existingItem.content?.length || 0)) {
-          uniqueItems.set(existingId, item);
-        }
-        break;
+    const existingId = (item.canonical_url && idsByCanonical.get(item.canonical_url)) || idsByUrl.get(urlKey);
+    const existingItem = existingId ? uniqueItems.get(existingId)! : undefined;
+
+    if (existingId && existingItem && isSameArticle(item, existingItem)) {
+      // Keep the one with more content
+      if ((item.content?.length || 0) > (existingItem.content?.length || 0)) {
+        uniqueItems.set(existingId, item);
       }
+      return;
     }
 
-    if (!isDuplicate) {
-      uniqueItems.set(id, item);
+    uniqueItems.set(id, item);
+    if (item.canonical_url && !idsByCanonical.has(item.canonical_url)) {
+      idsByCanonical.set(item.canonical_url, id);
+    }
+    if (!idsByUrl.has(urlKey)) {
+      idsByUrl.set(urlKey, id);
     }
   });
 
   // Create shingles for each unique item
-  const itemShingles = new Map<string, Set<string>>();
-
-  for (const [id, item] of uniqueItems) {
-    const text = `${item.title} ${item.standfirst || ''}`;
+  const itemIdArray = Array.from(uniqueItems.keys());
+  const itemTexts = itemIdArray.map(id => {
+    const item = uniqueItems.get(id)!;
+    return `${item.title} ${item.standfirst || ''}`;
+  });
+  const shingleSets = itemTexts.map(text => {
     const shingles3 = extractShingles(text, 3);
     const shingles4 = extractShingles(text, 4);
     const shingles5 = extractShingles(text, 5);
 
     // Combine different shingle sizes for better matching
-    const combined = new Set([...shingles3, ...shingles4, ...shingles5]);
-    itemShingles.set(id, combined);
-  }
+    return new Set([...shingles3, ...shingles4, ...shingles5]);
+  });
+  const itemShingles = new Map(itemIdArray.map((id, index) => [id, shingleSets[index]]));
+
+  // TF-IDF vectors over this call's items, i.e. the section corpus. Shared
+  // rare entities weigh heavily here.
+  const termVectors = tfidfWeight > 0
+    ? buildTfidfVectors(
+        itemTexts,
+        itemIdArray.map(id => uniqueItems.get(id)!.entities ?? extractItemEntities(uniqueItems.get(id)!)),
+        options.tfidf
+      )
+    : [];
+  const itemVectors = new Map(termVectors.map((vector, index) => [itemIdArray[index], vector]));
+
+  // Pairwise similarities, computed on demand and kept for cluster validation
+  const similarityMap = new Map<string, number>();
+  const pairSimilarity = (id1: string, id2: string): number => {
+    const key = id1 < id2 ? `${id1}:${id2}` : `${id2}:${id1}`;
+    let similarity = similarityMap.get(key);
+    if (similarity === undefined) {
+      similarity = jaccardSimilarity(itemShingles.get(id1)!, itemShingles.get(id2)!);
+      if (tfidfWeight > 0) {
+        const cosine = cosineSimilarity(itemVectors.get(id1)!, itemVectors.get(id2)!);
+        similarity = (1 - tfidfWeight) * similarity + tfidfWeight * cosine;
+      }
+      similarityMap.set(key, similarity);
+    }
+    return similarity;
+  };
 
   // Build similarity graph using Union-Find
   const uf = new UnionFind();
-  const itemIdArray = Array.from(uniqueItems.keys());
-
-  // Store pairwise similarities for cluster validation
-  const similarityMap = new Map<string, number>();
 
   // Initialize all items as separate sets
   itemIdArray.forEach(id => uf.makeSet(id));
 
-  // Compare all pairs and union if similar
-  for (let i = 0; i < itemIdArray.length; i++) {
-    for (let j = i + 1; j < itemIdArray.length; j++) {
-      const id1 = itemIdArray[i];
-      const id2 = itemIdArray[j];
-
-      const shingles1 = itemShingles.get(id1)!;
-      const shingles2 = itemShingles.get(id2)!;
-
-      const similarity = jaccardSimilarity(shingles1, shingles2);
-
-      // Store similarity for later validation (consistent key ordering)
-      const key = id1 < id2 ? `${id1}:${id2}` : `${id2}:${id1}`;
-      similarityMap.set(key, similarity);
-
-      if (similarity >= similarityThreshold) {
-        uf.union(id1, id2);
-      }
+  // Only pairs that MinHash/LSH flags as likely similar are compared exactly,
+  // instead of every pair. Paraphrases share few shingles, so with TF-IDF on
+  // pairs sharing a distinctive term are candidates too.
+  const candidatePairs = options.exhaustive
+    ? allPairs(itemIdArray.length)
+    : [
+        ...lshCandidatePairs(shingleSets, options.lsh),
+        ...(tfidfWeight > 0 ? tfidfCandidatePairs(termVectors) : [])
+      ];
+
+  for (const [i, j] of candidatePairs) {
+    const id1 = itemIdArray[i];
+    const id2 = itemIdArray[j];
+    if (pairSimilarity(id1, id2) >= similarityThreshold) {
+      uf.union(id1, id2);
     }
   }
 
-  // Build clusters from Union-Find structure
+  // Build clusters from Union-Find structure. A component that fails
+  // validation is re-partitioned rather than discarded, so one outlier
+  // doesn't cost a six-source story its grouping.
   const clusterMap = uf.getClusters();
-  const clusters: NewsCluster[] = [];
-
-  // Track items that failed validation and need to become singletons
-  const invalidClusterItems: string[] = [];
-
-  // Build clusters from grouped items
-  for (const [rootId, memberIds] of clusterMap) {
-    // Validate cluster - check that all pairs meet minimum similarity
-    if (memberIds.length > 1 && !validateCluster(memberIds, similarityMap, minPairSimilarity)) {
-      // Cluster failed validation - items will become singletons
-      invalidClusterItems.push(...memberIds);
-      continue;
+  const groups: string[][] = [];
+  for (const memberIds of clusterMap.values()) {
+    if (memberIds.length > 1 && !validateCluster(memberIds, pairSimilarity, minPairSimilarity)) {
+      groups.push(...splitComponent(memberIds, pairSimilarity, similarityThreshold, minPairSimilarity));
+    } else {
+      groups.push(memberIds);
     }
+  }
 
-    const clusterItems = memberIds.map(id => uniqueItems.get(id)!);
-
-    // Calculate unique sources for coverage
-    const sources = new Set(clusterItems.map(item => item.source));
-
-    // Sort items by date (newest first)
-    clusterItems.sort((a, b) => {
+  const clusters: NewsCluster[] = groups.map((memberIds, index) => {
+    // Sort items by date (newest first), preferring items with real dates
+    const sortedIds = [...memberIds].sort((id1, id2) => {
+      const a = uniqueItems.get(id1)!;
+      const b = uniqueItems.get(id2)!;
+      if (!!a.date_estimated !== !!b.date_estimated) {
+        return a.date_estimated ? 1 : -1;
+      }
       const dateA = new Date(a.published_at).getTime();
       const dateB = new Date(b.published_at).getTime();
       return dateB - dateA;
     });
+    const clusterItems = sortedIds.map(id => uniqueItems.get(id)!);
+
+    // Coverage counts distinct publishers, not feeds: BBC World and BBC Top
+    // Stories carrying the same story is still one outlet's coverage
+    const publishers = new Set(clusterItems.map(getPublisher));
+
+    // The medoid, the item closest to the rest, stands for the cluster
+    const diagnostics = clusterDiagnostics(sortedIds, pairSimilarity);
+    const representative = clusterItems[diagnostics.medoid];
+    const debugMatrixMinSize = options.debugMatrixMinSize;
+    if (debugMatrixMinSize && sortedIds.length >= debugMatrixMinSize) {
+      logSimilarityMatrix(clusterItems, sortedIds, pairSimilarity);
+    }
 
-    // Select the best headline from available sources
-    const clusterTitle = clusterItems[0].title;
-    const clusterHeadline = selectBestHeadline(clusterItems);
-
-    clusters.push({
-      id: `cluster_${clusters.length}`,
-      coverage: sources.size,
+    return {
+      id: `cluster_${index}`,
+      coverage: publishers.size,
       updated_at: clusterItems[0].published_at,
-      title: clusterTitle,
-      neutral_headline: clusterHeadline,
-      items: clusterItems,
-      featured_image: clusterItems.find(item => item.image_url)?.image_url
-    });
-  }
-
-  // Create singleton clusters for items from invalid clusters
-  for (const itemId of invalidClusterItems) {
-    const item = uniqueItems.get(itemId)!;
-    clusters.push({
-      id: `cluster_${clusters.length}`,
-      coverage: 1,
-      updated_at: item.published_at,
-      title: item.title,
-      neutral_headline: selectBestHeadline([item]),
-      items: [item],
-      featured_image: item.image_url
-    });
-  }
+      title: representative.title,
+      // Select the best headline from available sources
+      neutral_headline: selectBestHeadline(clusterItems),
+      // Newest first would often lead with several copies from one owner;
+      // lead with the spread of coverage instead
+      items: orderForDiversity(clusterItems),
+      featured_image: representative.image_url || clusterItems.find(item => item.image_url)?.image_url,
+      entities: aggregateEntities(clusterItems),
+      source_mix: summariseSourceMix(clusterItems),
+      representative_url: representative.url,
+      mean_similarity: diagnostics.meanSimilarity,
+      weakest_pair: diagnostics.weakest && {
+        urls: [clusterItems[diagnostics.weakest.a].url, clusterItems[diagnostics.weakest.b].url],
+        similarity: diagnostics.weakest.similarity
+      }
+    };
+  });
 
   // Sort clusters by coverage (descending), then by date (newest first)
   clusters.sort((a, b) => {
@@ -0,0 +1,178 @@
+// Publication date normalisation for feed items. Feeds send RFC 822 dates,
+// ISO 8601, Dublin Core dates and plenty of malformed variants in between;
+// everything is normalised to a UTC ISO string or rejected.
+
+// Month names and abbreviations (accents stripped) in the languages our feeds use
+const MONTHS: Record<string, number> = {};
+[
+  ['jan', 'january', 'januar', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'januari', 'janeiro'],
+  ['feb', 'february', 'februar', 'fevrier', 'fevr', 'fev', 'febrero', 'febbraio', 'februari', 'fevereiro'],
+  ['mar', 'march', 'marz', 'maerz', 'mrz', 'mars', 'marzo', 'maart', 'mrt', 'marco'],
+  ['apr', 'april', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+  ['may', 'mai', 'mayo', 'maggio', 'mag', 'mei', 'maio'],
+  ['jun', 'june', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+  ['jul', 'july', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+  ['aug', 'august', 'aout', 'agosto', 'ago', 'augustus'],
+  ['sep', 'sept', 'september', 'septembre', 'septiembre', 'settembre', 'set', 'setembro'],
+  ['oct', 'october', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+  ['nov', 'november', 'novembre', 'noviembre', 'novembro'],
+  ['dec', 'december', 'dezember', 'dez', 'decembre', 'diciembre', 'dic', 'dicembre', 'dezembro']
+].forEach((names, month) => names.forEach(name => { MONTHS[name] = month; }));
+
+// Offsets in minutes for timezone abbreviations seen in the wild
+const TIMEZONES: Record<string, number> = {
+  z: 0, ut: 0, utc: 0, gmt: 0,
+  est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420,
+  bst: 60, ist: 330, cet: 60, cest: 120, eet: 120, eest: 180, msk: 180,
+  jst: 540, kst: 540, sgt: 480, hkt: 480,
+  awst: 480, acst: 570, acdt: 630, aest: 600, aedt: 660, nzst: 720, nzdt: 780
+};
+
+const ISO_PATTERN = /^(\d{4})-?(\d{2})-?(\d{2})(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+// "Mon, 12 Oct 2026 08:30:00 GMT" and friends (weekday optional, day first)
+const DAY_FIRST_PATTERN = /^(?:[^\d\s,]+\.?,?\s+)?(\d{1,2})[\s\-./]+([^\d\s\-./,]+)\.?[\s\-./,]+(\d{4}|\d{2})(?!\d)(?:[\sT,]+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*(am|pm)?)?\s*(.*)$/i;
+
+// "Oct 12, 2026 8:30 PM EST" (weekday optional, month first)
+const MONTH_FIRST_PATTERN = /^(?:[^\d\s,]+,\s+)?([^\d\s,.]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})(?:[\sT,]+(?:at\s+)?(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*(am|pm)?)?\s*(.*)$/i;
+
+// Future dates beyond this are treated as broken rather than trusted
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+
+export interface DateParseReport {
+  missing: number;
+  unparseable: string[];
+}
+
+function stripAccents(text: string): string {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function lookupMonth(token: string): number | undefined {
+  const key = stripAccents(token.toLowerCase()).replace(/\.$/, '');
+  return MONTHS[key] ?? MONTHS[key.slice(0, 3)];
+}
+
+// Offset in minutes for "+1000", "-05:00", "+10", "GMT+10" or an abbreviation
+function parseOffset(zone: string): number | undefined {
+  const cleaned = zone.trim().replace(/^\(|\)$/g, '').toLowerCase();
+  if (!cleaned) return 0; // No zone given - assume UTC
+
+  const numeric = cleaned.match(/^(?:gmt|utc)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/);
+  if (numeric) {
+    const minutes = parseInt(numeric[2], 10) * 60 + parseInt(numeric[3] || '0', 10);
+    return numeric[1] === '-' ? -minutes : minutes;
+  }
+
+  return TIMEZONES[cleaned];
+}
+
+function buildDate(
+  year: number, month: number, day: number,
+  hour: number, minute: number, second: number,
+  offsetMinutes: number
+): Date | undefined {
+  if (month < 0 || month > 11 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 60) {
+    return undefined;
+  }
+  const utc = Date.UTC(year, month, day, hour, minute, second) - offsetMinutes * 60 * 1000;
+  const date = new Date(utc);
+  // Reject rollovers such as 31 Feb
+  if (new Date(Date.UTC(year, month, day)).getUTCDate() !== day) return undefined;
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function expandYear(year: string): number {
+  const value = parseInt(year, 10);
+  if (year.length === 4) return value;
+  return value < 70 ? 2000 + value : 1900 + value;
+}
+
+function to24Hour(hour: number, meridiem?: string): number {
+  if (!meridiem) return hour;
+  const isPm = meridiem.toLowerCase() === 'pm';
+  if (hour === 12) return isPm ? 12 : 0;
+  return isPm ? hour + 12 : hour;
+}
+
+function parseDateString(raw: string): Date | undefined {
+  const text = raw.trim().replace(/\s+/g, ' ');
+  if (!text) return undefined;
+
+  const iso = text.match(ISO_PATTERN);
+  if (iso) {
+    const offset = parseOffset(iso[7] || '');
+    if (offset === undefined) return undefined;
+    return buildDate(
+      parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10),
+      parseInt(iso[4] || '0', 10), parseInt(iso[5] || '0', 10), parseInt(iso[6] || '0', 10),
+      offset
+    );
+  }
+
+  const dayFirst = text.match(DAY_FIRST_PATTERN);
+  if (dayFirst) {
+    const month = lookupMonth(dayFirst[2]);
+    const offset = parseOffset(dayFirst[8]);
+    if (month !== undefined && offset !== undefined) {
+      return buildDate(
+        expandYear(dayFirst[3]), month, parseInt(dayFirst[1], 10),
+        to24Hour(parseInt(dayFirst[4] || '0', 10), dayFirst[7]),
+        parseInt(dayFirst[5] || '0', 10), parseInt(dayFirst[6] || '0', 10),
+        offset
+      );
+    }
+  }
+
+  const monthFirst = text.match(MONTH_FIRST_PATTERN);
+  if (monthFirst) {
+    const month = lookupMonth(monthFirst[1]);
+    const offset = parseOffset(monthFirst[8]);
+    if (month !== undefined && offset !== undefined) {
+      return buildDate(
+        parseInt(monthFirst[3], 10), month, parseInt(monthFirst[2], 10),
+        to24Hour(parseInt(monthFirst[4] || '0', 10), monthFirst[7]),
+        parseInt(monthFirst[5] || '0', 10), parseInt(monthFirst[6] || '0', 10),
+        offset
+      );
+    }
+  }
+
+  return undefined;
+}
+
+// Parse a feed date into a UTC ISO string, or undefined if it can't be trusted
+export function parseFeedDate(raw: any, now: number = Date.now()): string | undefined {
+  if (raw === undefined || raw === null) return undefined;
+  const text = typeof raw === 'object' ? String(raw['#text'] ?? '') : String(raw);
+
+  const date = parseDateString(text);
+  if (!date || date.getTime() > now + MAX_FUTURE_MS) return undefined;
+
+  return date.toISOString();
+}
+
+// Resolve an item's published_at from its candidate date fields. Items
+// without a usable date get the fetch time and are flagged as estimated; the
+// fetcher swaps in the time they were first seen on an earlier run.
+export function resolvePublishedAt(
+  candidates: any[],
+  report?: DateParseReport
+): { published_at: string; date_estimated?: boolean } {
+  const present = candidates.filter(value => value !== undefined && value !== null && String(value['#text'] ?? value).trim());
+
+  for (const value of present) {
+    const parsed = parseFeedDate(value);
+    if (parsed) return { published_at: parsed };
+  }
+
+  if (report) {
+    if (present.length === 0) {
+      report.missing++;
+    } else {
+      report.unparseable.push(String(present[0]['#text'] ?? present[0]));
+    }
+  }
+
+  return { published_at: new Date().toISOString(), date_estimated: true };
+}
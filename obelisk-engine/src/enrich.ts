@@ -0,0 +1,153 @@
+import { NewsItem } from './types';
+import { Cache } from './cache';
+import { cleanUrl, extractCanonicalUrl } from './normalize';
+import { extractMetaContent, toPlainText } from './html';
+import { HttpClient, httpClient } from './http-client';
+
+// What we learned from an article page. Successes are cached for as long as
+// the item stays in a feed, so a page is fetched once; failures only for
+// `failureTtlMs`, so a page that was briefly down is tried again.
+export interface ArticleMetadata {
+  fetched_at: string;
+  failed?: boolean;
+  canonical_url?: string;
+  image_url?: string;
+  description?: string;
+  lead?: string;
+}
+
+export type ArticleCache = Cache<ArticleMetadata>;
+
+export interface EnrichOptions {
+  cache?: ArticleCache;
+  http?: HttpClient;      // Defaults to the shared client, which bounds concurrency
+  timeoutMs?: number;     // Per-page timeout (default: 10000)
+  leadParagraphs?: number; // Paragraphs kept for the lead (default: 3)
+  maxLeadLength?: number; // Character cap for the lead (default: 1200)
+  failureTtlMs?: number;  // How long a failed fetch is cached before retrying (default: 3 hours)
+}
+
+// Paragraphs shorter than this are bylines, captions and share prompts
+const MIN_PARAGRAPH_LENGTH = 40;
+
+function absoluteUrl(url: string, base: string): string | undefined {
+  try {
+    return new URL(url, base).toString();
+  } catch {
+    return undefined;
+  }
+}
+
+// First substantial paragraphs, preferring the <article> body over page chrome
+function extractLead(html: string, maxParagraphs: number, maxLength: number): string | undefined {
+  const articleMatch = html.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i);
+  const body = articleMatch ? articleMatch[1] : html;
+
+  const paragraphs: string[] = [];
+  const paragraphPattern = /<p\b[^>]*>([\s\S]*?)<\/p>/gi;
+  let match;
+
+  while ((match = paragraphPattern.exec(body)) !== null && paragraphs.length < maxParagraphs) {
+    const text = toPlainText(match[1]);
+    if (text.length >= MIN_PARAGRAPH_LENGTH) {
+      paragraphs.push(text);
+    }
+  }
+
+  if (paragraphs.length === 0) return undefined;
+
+  let lead = paragraphs.join(' ');
+  if (lead.length > maxLength) {
+    // Cut at the last sentence end that fits, falling back to a word boundary
+    const truncated = lead.slice(0, maxLength);
+    const sentenceEnd = truncated.search(/[.!?][^.!?]*$/);
+    lead = sentenceEnd > maxLength / 2
+      ? truncated.slice(0, sentenceEnd + 1)
+      : truncated.slice(0, truncated.lastIndexOf(' ')) + '…';
+  }
+  return lead;
+}
+
+export function parseArticleMetadata(html: string, pageUrl: string, options: EnrichOptions = {}): ArticleMetadata {
+  const canonical = extractCanonicalUrl(html);
+  const image = extractMetaContent(html, 'og:image') || extractMetaContent(html, 'twitter:image');
+  const description = extractMetaContent(html, 'og:description') || extractMetaContent(html, 'description');
+
+  return {
+    fetched_at: new Date().toISOString(),
+    canonical_url: canonical ? cleanUrl(absoluteUrl(canonical, pageUrl) || canonical) : undefined,
+    image_url: image ? absoluteUrl(image, pageUrl) : undefined,
+    description: description ? toPlainText(description) : undefined,
+    lead: extractLead(html, options.leadParagraphs ?? 3, options.maxLeadLength ?? 1200)
+  };
+}
+
+async function fetchArticleMetadata(url: string, options: EnrichOptions): Promise<ArticleMetadata> {
+  try {
+    const http = options.http ?? httpClient;
+    const response = await http.fetch(url, { timeoutMs: options.timeoutMs ?? 10000 });
+
+    if (!response.ok || !(response.headers.get('content-type') || 'text/html').includes('html')) {
+      return { fetched_at: new Date().toISOString(), failed: true };
+    }
+
+    // Redirects (e.g. feedburner links) land on the real article URL
+    return parseArticleMetadata(await response.text(), response.url || url, options);
+  } catch {
+    // Network errors, timeouts and robots.txt disallows alike
+    return { fetched_at: new Date().toISOString(), failed: true };
+  }
+}
+
+function applyMetadata(original: NewsItem, metadata: ArticleMetadata): NewsItem {
+  if (metadata.failed) return original;
+
+  // Copy rather than mutate: items may be shared with the feed cache
+  const item = { ...original };
+
+  if (metadata.canonical_url) {
+    item.canonical_url = metadata.canonical_url;
+  }
+  if (!item.image_url && metadata.image_url) {
+    item.image_url = metadata.image_url;
+  }
+  if (!item.standfirst && metadata.description) {
+    item.standfirst = metadata.description;
+  }
+  // Feeds often carry only a teaser; the lead gives summaries more to work with
+  if (metadata.lead && metadata.lead.length > (item.content?.length || 0)) {
+    item.content = metadata.lead;
+  }
+  return item;
+}
+
+function isExpired(metadata: ArticleMetadata, ttlMs: number): boolean {
+  const fetchedAt = new Date(metadata.fetched_at).getTime();
+  return !Number.isFinite(fetchedAt) || Date.now() - fetchedAt >= ttlMs;
+}
+
+// Fill in canonical URL, image, standfirst and lead text from each item's
+// article page. Returns enriched copies in the original order.
+export async function enrichItems(items: NewsItem[], options: EnrichOptions = {}): Promise<NewsItem[]> {
+  const { cache, failureTtlMs = 3 * 60 * 60 * 1000 } = options;
+  const enriched = [...items];
+  let fetched = 0;
+  let failed = 0;
+
+  await Promise.all(items.map(async (item, index) => {
+    if (!item.url) return;
+
+    let metadata = await cache?.get(item.url);
+    if (!metadata || (metadata.failed && isExpired(metadata, failureTtlMs))) {
+      metadata = await fetchArticleMetadata(item.url, options);
+      fetched++;
+      if (metadata.failed) failed++;
+      await cache?.set(item.url, metadata);
+    }
+
+    enriched[index] = applyMetadata(item, metadata);
+  }));
+
+  console.log(`Enriched ${items.length} items (${fetched} pages fetched, ${failed} failed, ${items.length - fetched} from cache)`);
+  return enriched;
+}
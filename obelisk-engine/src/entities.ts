@@ -0,0 +1,228 @@
+import nlp from 'wink-nlp-utils';
+import { NewsItem, Entity, EntityType, ClusterEntity } from './types';
+import lexicon from './config/entities.json';
+import gazetteer from './config/gazetteer.json';
+
+// Named-entity tagging for item titles and standfirsts. Known names come
+// from src/config/entities.json (plus the region gazetteer's Australian
+// places); other multi-word names are found as runs of capitalised words
+// and typed by their shape: a leading title means a person, a trailing
+// "Bank"/"Party"/... an organisation. Two or three plain capitalised words
+// are a name of unknown kind ('other'); "Los Angeles" and "White House" look
+// just like "Jane Doyle".
+
+const ORGANISATION_WORDS = new Set(lexicon.organisation_words);
+const PERSON_TITLES = new Set(lexicon.person_titles.map(title => title.toLowerCase()));
+
+// Words that start or break up a capitalised run without being part of a name
+const RUN_STOP_WORDS = new Set([
+  'a', 'an', 'the', 'in', 'on', 'at', 'to', 'by', 'as', 'is', 'it', 'with', 'from', 'after', 'before', 'over', 'into',
+  'why', 'how', 'what', 'who', 'when', 'watch', 'live', 'breaking', 'exclusive', 'analysis', 'opinion', 'explainer'
+]);
+
+// Capitalised at the start of a run but never part of a person's name
+const NON_NAME_WORDS = new Set([
+  'former', 'new', 'old', 'north', 'south', 'east', 'west', 'great', 'grand', 'royal', 'federal', 'state', 'national',
+  'first', 'last', 'deputy', 'acting', 'prime', 'quick', 'stunning', 'top', 'big', 'more', 'most', 'inside', 'one',
+  'democratic', 'republic', 'united', 'el', 'la'
+]);
+
+// Kept inside a name: "Reserve Bank of Australia", "Minister for Health"
+const NAME_JOINERS = new Set(['of', 'for', 'and', 'de', 'van', 'von', 'bin', 'al']);
+
+interface LexiconEntry {
+  pattern: RegExp;
+  text: string;
+  type: EntityType;
+}
+
+// Longest names first so "Reserve Bank of Australia" wins over "Reserve Bank".
+// Case-sensitive: capitalisation is what separates "US" from "us".
+const LEXICON: LexiconEntry[] = [
+  ...lexicon.people.map(text => ({ text, type: 'person' as EntityType })),
+  ...lexicon.organisations.map(text => ({ text, type: 'organisation' as EntityType })),
+  ...[...lexicon.places, ...gazetteer.australia.places, 'Australia'].map(text => ({ text, type: 'place' as EntityType }))
+]
+  .sort((a, b) => b.text.length - a.text.length)
+  .map(entry => ({
+    ...entry,
+    pattern: new RegExp(`(?<![\\w.])${entry.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w])`, 'g')
+  }));
+
+// Money, percentages, counts and magnitudes: "$10bn", "$400 million", "2,500", "3.5%"
+const NUMBER_PATTERN = /(?:[$€£]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:bn|billion|m|million|k|trillion|tn)\b)?|\b\d[\d,]*(?:\.\d+)?\s?(?:%|per cent|percent|billion|million|bn|trillion)(?!\w)|(?<![&#\w])\d{1,3}(?:,\d{3})+\b|(?<![&#\w])\d{2,}(?:\.\d+)?\b)/gi;
+
+const MAGNITUDES: Record<string, number> = {
+  k: 1e3, m: 1e6, million: 1e6, bn: 1e9, billion: 1e9, tn: 1e12, trillion: 1e12
+};
+
+// Comparison key: case-insensitive names, and numbers reduced to their value
+// so "$400m", "$400M" and "$400 million" are the same entity
+export function entityKey(entity: Entity): string {
+  if (entity.type !== 'number') {
+    return `${entity.type}:${entity.text.toLowerCase()}`;
+  }
+  const match = entity.text.toLowerCase().match(/^([$€£]?)\s?([\d,]+(?:\.\d+)?)\s?(%|per cent|percent|[a-z]+)?$/);
+  if (!match) return `number:${entity.text.toLowerCase()}`;
+  const [, currency, digits, unit = ''] = match;
+  const value = parseFloat(digits.replace(/,/g, '')) * (MAGNITUDES[unit] || 1);
+  const suffix = unit === '%' || unit.startsWith('per') ? '%' : '';
+  return `number:${currency}${value}${suffix}`;
+}
+
+// Headlines written in Title Case turn every word into a "name"; only the
+// lexicon is trusted for those
+function isTitleCase(text: string): boolean {
+  const words = text.split(/\s+/).filter(word => /^[A-Za-z]{4,}/.test(word));
+  if (words.length < 4) return false;
+  const capitalised = words.filter(word => /^[A-Z]/.test(word)).length;
+  return capitalised / words.length > 0.7;
+}
+
+function classifyRun(words: string[]): Entity | undefined {
+  if (words.length === 0) return undefined;
+
+  const isTitle = (word: string) => PERSON_TITLES.has(word.replace(/\.$/, '').toLowerCase());
+  if (isTitle(words[0])) {
+    // "Prime Minister Anthony Albanese" -> "Anthony Albanese"; a role alone is not a person
+    const nameStart = words.findIndex(word => !isTitle(word));
+    if (nameStart === -1) return undefined;
+    const name = words.slice(nameStart);
+    return classifyRun(name)?.type === 'organisation' ? undefined : { text: name.join(' '), type: 'person' };
+  }
+
+  const text = words.join(' ');
+  if (ORGANISATION_WORDS.has(words[words.length - 1]) || words.some(word => /^[A-Z]{2,6}$/.test(word))) {
+    return { text, type: 'organisation' };
+  }
+
+  // Nationalities ("British", "Chinese") describe rather than name
+  const nameLike = (word: string) =>
+    /^\p{Lu}[\p{Ll}'’\-]+$/u.test(word) && !NON_NAME_WORDS.has(word.toLowerCase()) && !/(ish|ian|ese)$/.test(word);
+  if (words.length >= 2 && words.length <= 3 && words.every(nameLike)) {
+    return { text, type: 'other' };
+  }
+
+  return undefined;
+}
+
+// Split a capitalised run at words that can't be part of a name
+function splitRun(run: string): string[][] {
+  const segments: string[][] = [[]];
+  for (const rawWord of run.split(/\s+/)) {
+    const word = rawWord.replace(/['’]s$/, '').replace(/[^\p{L}\p{N}.'’\-]/gu, '');
+    if (!word) continue;
+    const lower = word.toLowerCase();
+    const current = segments[segments.length - 1];
+    if (RUN_STOP_WORDS.has(lower) || (NAME_JOINERS.has(lower) && current.length === 0)) {
+      segments.push([]);
+    } else {
+      current.push(word);
+    }
+  }
+  // A trailing joiner ("Minister for") belongs to nothing
+  return segments
+    .map(words => {
+      while (words.length > 0 && NAME_JOINERS.has(words[words.length - 1].toLowerCase())) words.pop();
+      return words;
+    })
+    .filter(words => words.length > 0);
+}
+
+export function extractEntities(text: string): Entity[] {
+  if (!text) return [];
+
+  const entities: Entity[] = [];
+  const seen = new Set<string>();
+  const add = (entity: Entity) => {
+    const key = entityKey(entity);
+    if (!seen.has(key)) {
+      seen.add(key);
+      entities.push(entity);
+    }
+  };
+
+  // Known names first; blank them out so runs don't re-find pieces of them
+  let remaining = text;
+  for (const entry of LEXICON) {
+    entry.pattern.lastIndex = 0;
+    remaining = remaining.replace(entry.pattern, () => {
+      add({ text: entry.text, type: entry.type });
+      return ' | ';
+    });
+  }
+
+  // "president Infantino", "president Gianni Infantino": a lowercase title before a name
+  for (const match of remaining.matchAll(/(?<![\p{L}])(\p{Ll}+)\s+(\p{Lu}[\p{Ll}'’\-]{2,}(?:\s+\p{Lu}[\p{Ll}'’\-]{2,}){0,2})(?![\p{L}])/gu)) {
+    if (PERSON_TITLES.has(match[1])) {
+      add({ text: match[2], type: 'person' });
+    }
+  }
+
+  if (!isTitleCase(remaining)) {
+    for (const run of nlp.string.extractRunOfCapitalWords(remaining) || []) {
+      for (const words of splitRun(run)) {
+        const entity = classifyRun(words);
+        // A name already typed by a title before it keeps that type
+        if (entity && !entities.some(known => known.text === entity.text)) add(entity);
+      }
+    }
+  }
+
+  for (const match of text.matchAll(NUMBER_PATTERN)) {
+    add({ text: match[0].trim(), type: 'number' });
+  }
+
+  return entities;
+}
+
+export function extractItemEntities(item: NewsItem): Entity[] {
+  const entities = [...extractEntities(item.title), ...extractEntities(item.standfirst || '')];
+  const seen = new Set<string>();
+  return entities.filter(entity => {
+    const key = entityKey(entity);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Copies of `items` with `entities` set
+export function tagEntities(items: NewsItem[]): NewsItem[] {
+  return items.map(item => ({ ...item, entities: extractItemEntities(item) }));
+}
+
+// Entities across a cluster's items, most widely mentioned first. A surname
+// on its own ("Albanese") is folded into the full name ("Anthony Albanese")
+// when another item spells it out.
+export function aggregateEntities(items: NewsItem[], limit: number = 12): ClusterEntity[] {
+  const entityLists = items.map(item => item.entities ?? extractItemEntities(item));
+
+  const fullNames = new Map<string, Entity>(); // Surname -> full name
+  for (const entity of entityLists.flat()) {
+    if (entity.type === 'person' && entity.text.includes(' ')) {
+      const surname = entity.text.split(' ').pop()!;
+      if (!fullNames.has(surname)) fullNames.set(surname, entity);
+    }
+  }
+
+  // Count items mentioning each entity, not mentions
+  const byKey = new Map<string, ClusterEntity>();
+  for (const entities of entityLists) {
+    const counted = new Set<string>();
+    for (const mention of entities) {
+      const entity = (mention.type === 'person' && fullNames.get(mention.text)) || mention;
+      const key = entityKey(entity);
+      if (counted.has(key)) continue;
+      counted.add(key);
+
+      const existing = byKey.get(key);
+      if (existing) existing.count++;
+      else byKey.set(key, { text: entity.text, type: entity.type, count: 1 });
+    }
+  }
+
+  return [...byKey.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
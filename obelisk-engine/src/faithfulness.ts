@@ -0,0 +1,130 @@
+import { NewsItem, Entity } from './types';
+import { extractEntities, entityKey } from './entities';
+import lexicon from './config/entities.json';
+
+// Post-generation check of AI summary bullets against the cluster's own
+// articles. Each bullet's checkable claims (named people, organisations and
+// places, other capitalised names such as "Parliament" or "March", numbers,
+// and quoted words) must appear in some item's title, standfirst or content.
+// Bullets with an unsupported claim are dropped, and the share of claims that
+// checked out becomes the cluster's `summary_confidence`.
+
+export interface BulletCheck {
+  bullet: string;
+  claims: number;
+  unsupported: string[]; // Claims not found in the sources, as written in the bullet
+}
+
+export interface FaithfulnessResult {
+  bullets: string[]; // Bullets whose claims are all supported, in order
+  checks: BulletCheck[];
+  confidence: number; // Supported claims / all claims, 0-1 (1 when nothing was checkable)
+}
+
+// Direct quotes shorter than this are usually scare quotes around a word
+const MIN_QUOTE_LENGTH = 12;
+const QUOTE_PATTERN = /["“]([^"“”]+)["”]/g;
+
+// Roles and common nouns written with a capital ("Opposition Leader",
+// "Coalition") describe rather than name, so a summary may use them for
+// whoever the sources name
+const GENERIC_WORDS = new Set([...lexicon.person_titles, ...lexicon.common_nouns].map(word => word.toLowerCase()));
+
+// Lowercase words only, so punctuation and curly quotes don't matter
+function plainText(text: string): string {
+  return ` ${text.toLowerCase().replace(/[^\p{L}\p{N}%$€£]+/gu, ' ').trim()} `;
+}
+
+// A number's value, whatever the currency sign or unit words around it, so
+// "$2 billion" matches "2 billion dollars"
+function numberKey(entity: Entity): string {
+  return entityKey(entity).replace(/^number:[$€£]/, 'number:');
+}
+
+function isGeneric(text: string): boolean {
+  return text.split(/\s+/).every(word => GENERIC_WORDS.has(word.toLowerCase()));
+}
+
+interface SourceIndex {
+  text: string; // plainText of everything
+  numbers: Set<string>; // numberKey of every number
+}
+
+function indexSources(items: NewsItem[]): SourceIndex {
+  const raw = items.map(item => [item.title, item.standfirst, item.content].filter(Boolean).join('\n')).join('\n');
+  const numbers = new Set(
+    extractEntities(raw)
+      .filter(entity => entity.type === 'number')
+      .map(numberKey)
+  );
+  return { text: plainText(raw), numbers };
+}
+
+// Capitalised words past the start of a sentence that entity extraction left
+// alone: single names, institutions, months and weekdays
+function otherNames(bullet: string, entities: Entity[]): string[] {
+  const covered = new Set(entities.flatMap(entity => entity.text.toLowerCase().split(/\s+/)));
+  const names: string[] = [];
+  let previous = '';
+  for (const [token] of bullet.matchAll(/\S+/g)) {
+    const word = token.replace(/['’]s$/, '').replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+    const sentenceStart = !previous || /[.!?:;]["”’)]?$/.test(previous) || /^["“‘(]/.test(token);
+    previous = token;
+
+    if (sentenceStart || !/^\p{Lu}[\p{L}'’\-]+$/u.test(word)) continue;
+    // Nationalities ("British", "Chinese") describe rather than name
+    if (/(ish|ian|ese)$/.test(word) || isGeneric(word) || covered.has(word.toLowerCase())) continue;
+    if (!names.includes(word)) names.push(word);
+  }
+  return names;
+}
+
+function mentions(sources: SourceIndex, phrase: string): boolean {
+  const plain = plainText(phrase);
+  return plain.trim().length > 0 && sources.text.includes(plain);
+}
+
+function checkBullet(bullet: string, sources: SourceIndex): BulletCheck {
+  const unsupported: string[] = [];
+  let claims = 0;
+
+  const entities = extractEntities(bullet);
+  for (const entity of entities) {
+    if (entity.type === 'number') {
+      claims++;
+      if (!sources.numbers.has(numberKey(entity)) && !mentions(sources, entity.text)) unsupported.push(entity.text);
+      continue;
+    }
+    if (isGeneric(entity.text)) continue;
+    claims++;
+    // A person may be named in full in the bullet but only by surname in the sources
+    const surname = entity.type === 'person' ? entity.text.split(/\s+/).pop()! : entity.text;
+    if (!mentions(sources, entity.text) && !mentions(sources, surname)) unsupported.push(entity.text);
+  }
+
+  for (const name of otherNames(bullet, entities)) {
+    claims++;
+    if (!mentions(sources, name)) unsupported.push(name);
+  }
+
+  for (const match of bullet.matchAll(QUOTE_PATTERN)) {
+    if (match[1].trim().length < MIN_QUOTE_LENGTH) continue;
+    claims++;
+    if (!mentions(sources, match[1])) unsupported.push(`"${match[1].trim()}"`);
+  }
+
+  return { bullet, claims, unsupported };
+}
+
+export function verifySummary(bullets: string[], items: NewsItem[]): FaithfulnessResult {
+  const sources = indexSources(items);
+  const checks = bullets.map(bullet => checkBullet(bullet, sources));
+
+  const claims = checks.reduce((sum, check) => sum + check.claims, 0);
+  const unsupported = checks.reduce((sum, check) => sum + check.unsupported.length, 0);
+  return {
+    bullets: checks.filter(check => check.unsupported.length === 0).map(check => check.bullet),
+    checks,
+    confidence: claims === 0 ? 1 : Math.round(((claims - unsupported) / claims) * 100) / 100
+  };
+}
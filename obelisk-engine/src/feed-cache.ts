@@ -0,0 +1,25 @@
+import { NewsItem } from './types';
+import { Cache, FileCache, KVCache } from './cache';
+
+// Validators and parsed items from a feed's last successful (200) response
+export interface FeedCacheEntry {
+  etag?: string;
+  last_modified?: string;
+  fetched_at: string;
+  items: NewsItem[];
+  first_seen?: Record<string, string>; // When each undated item was first fetched, by URL
+}
+
+export type FeedCache = Cache<FeedCacheEntry>;
+
+export class FileFeedCache extends FileCache<FeedCacheEntry> {
+  constructor(cacheFileName: string = '.cache/feed-cache.json') {
+    super(cacheFileName);
+  }
+}
+
+export class KVFeedCache extends KVCache<FeedCacheEntry> {
+  constructor(kv: KVNamespace, ttlSeconds: number = 7 * 86400) {
+    super(kv, 'feed-cache:', ttlSeconds);
+  }
+}
@@ -0,0 +1,119 @@
+import { FeedSource } from './types';
+import { DateParseReport } from './dates';
+
+export interface FeedHealthRecord {
+  name: string;
+  url: string;
+  last_run: string;
+  last_success?: string;
+  last_status?: number; // HTTP status of the last attempt (absent for network errors)
+  last_error?: string;
+  item_count: number;
+  latency_ms: number;
+  missing_dates?: number; // Items in the last fetch with no date at all
+  unparseable_dates?: string[]; // Sample date strings we couldn't parse
+  consecutive_failures: number;
+  total_runs: number;
+  total_failures: number;
+  quarantined_until?: string; // Set while the feed is quarantined
+}
+
+export interface FeedHealthReport {
+  updated_at: string;
+  quarantined: string[];
+  feeds: FeedHealthRecord[];
+}
+
+export interface FeedOutcome {
+  ok: boolean;
+  status?: number;
+  error?: string;
+  itemCount: number;
+  latencyMs: number;
+  dateReport?: DateParseReport;
+}
+
+export interface FeedHealthOptions {
+  quarantineAfter?: number;   // Consecutive failed runs before quarantine (default: 3)
+  baseRetryHours?: number;    // First quarantine retry delay (default: 24)
+  maxRetryHours?: number;     // Cap for the doubling retry delay (default: 168)
+}
+
+// Tracks per-feed outcomes across runs. Storage is left to the caller: the
+// processor keeps the report in data/feed-health.json, the Worker in KV.
+export class FeedHealthTracker {
+  private records = new Map<string, FeedHealthRecord>();
+  private readonly quarantineAfter: number;
+  private readonly baseRetryHours: number;
+  private readonly maxRetryHours: number;
+
+  constructor(previous?: FeedHealthReport | null, options: FeedHealthOptions = {}) {
+    this.quarantineAfter = options.quarantineAfter || 3;
+    this.baseRetryHours = options.baseRetryHours || 24;
+    this.maxRetryHours = options.maxRetryHours || 168;
+
+    for (const record of previous?.feeds || []) {
+      this.records.set(record.url, record);
+    }
+  }
+
+  // Quarantined feeds are skipped until their retry time comes round
+  shouldFetch(source: FeedSource, now: number = Date.now()): boolean {
+    const record = this.records.get(source.url);
+    if (!record?.quarantined_until) return true;
+    return new Date(record.quarantined_until).getTime() <= now;
+  }
+
+  record(source: FeedSource, outcome: FeedOutcome): void {
+    const now = new Date();
+    const previous = this.records.get(source.url);
+    const record: FeedHealthRecord = {
+      name: source.name,
+      url: source.url,
+      last_run: now.toISOString(),
+      last_success: previous?.last_success,
+      last_status: outcome.status,
+      last_error: outcome.error,
+      item_count: outcome.itemCount,
+      latency_ms: outcome.latencyMs,
+      missing_dates: outcome.dateReport?.missing || undefined,
+      unparseable_dates: outcome.dateReport?.unparseable.length
+        ? outcome.dateReport.unparseable.slice(0, 5)
+        : undefined,
+      consecutive_failures: 0,
+      total_runs: (previous?.total_runs || 0) + 1,
+      total_failures: previous?.total_failures || 0
+    };
+
+    if (outcome.ok) {
+      record.last_success = now.toISOString();
+      if (previous?.quarantined_until) {
+        console.log(`Feed ${source.name} recovered, leaving quarantine`);
+      }
+    } else {
+      record.consecutive_failures = (previous?.consecutive_failures || 0) + 1;
+      record.total_failures++;
+
+      if (record.consecutive_failures >= this.quarantineAfter) {
+        // Back off further each time a quarantined feed fails its retry
+        const extraFailures = record.consecutive_failures - this.quarantineAfter;
+        const retryHours = Math.min(this.baseRetryHours * Math.pow(2, extraFailures), this.maxRetryHours);
+        record.quarantined_until = new Date(now.getTime() + retryHours * 60 * 60 * 1000).toISOString();
+        console.warn(`Feed ${source.name} quarantined after ${record.consecutive_failures} consecutive failures, next retry ${record.quarantined_until}`);
+      }
+    }
+
+    this.records.set(source.url, record);
+  }
+
+  getReport(): FeedHealthReport {
+    const feeds = Array.from(this.records.values())
+      .sort((a, b) => b.consecutive_failures - a.consecutive_failures || a.name.localeCompare(b.name));
+
+    return {
+      updated_at: new Date().toISOString(),
+      quarantined: feeds.filter(feed => feed.quarantined_until).map(feed => feed.name),
+      feeds
+    };
+  }
+}
@@ -1,65 +1,140 @@
-import { FeedSource } from './types';
-
-export const FEED_SOURCES: FeedSource[] = [
-  // Global sources - mix of international news outlets
-  { name: 'BBC World', url: 'https://feeds.bbci.co.uk/news/world/rss.xml', type: 'rss', section: 'global' },
-  { name: 'BBC Top Stories', url: 'https://feeds.bbci.co.uk/news/rss.xml', type: 'rss', section: 'global' },
-  { name: 'Guardian World', url: 'https://www.theguardian.com/world/rss', type: 'rss', section: 'global' },
-  { name: 'Guardian Business', url: 'https://www.theguardian.com/business/rss', type: 'rss', section: 'global' },
-  { name: 'Sky News World', url: 'https://feeds.skynews.com/feeds/rss/world.xml', type: 'rss', section: 'global' },
-  { name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml', type: 'rss', section: 'global' },
-  { name: 'Deutsche Welle', url: 'https://rss.dw.com/rdf/rss-en-top', type: 'rss', section: 'global' },
-  { name: 'France24', url: 'https://www.france24.com/en/rss', type: 'rss', section: 'global' },
-  { name: 'NPR News', url: 'https://feeds.npr.org/1001/rss.xml', type: 'rss', section: 'global' },
-  { name: 'Politico', url: 'https://rss.politico.com/politics-news.xml', type: 'rss', section: 'global' },
-  { name: 'Time Magazine', url: 'https://feeds.feedburner.com/time/topstories', type: 'rss', section: 'global' },
-  { name: 'Businessweek', url: 'https://feeds.feedburner.com/businessweek', type: 'rss', section: 'global' },
-  // Additional Global sources (tested and verified)
-  { name: 'WSJ World', url: 'https://feeds.a.dj.com/rss/RSSWorldNews.xml', type: 'rss', section: 'global' },
-  { name: 'Reuters Top News', url: 'https://feeds.feedburner.com/reuters/topNews', type: 'rss', section: 'global' },
-  { name: 'CBS News', url: 'https://www.cbsnews.com/latest/rss/main', type: 'rss', section: 'global' },
-  { name: 'NBC World', url: 'https://feeds.nbcnews.com/nbcnews/public/world', type: 'rss', section: 'global' },
-  { name: 'Sydney Morning Herald', url: 'https://www.smh.com.au/rss/feed.xml', type: 'rss', section: 'global' },
-  { name: 'Wired', url: 'https://www.wired.com/feed/rss', type: 'rss', section: 'global' },
-  { name: 'Ars Technica News', url: 'https://feeds.arstechnica.com/arstechnica/technology-lab', type: 'rss', section: 'global' },
-  { name: 'Bloomberg Technology', url: 'https://feeds.bloomberg.com/technology/news.rss', type: 'rss', section: 'global' },
-  { name: 'Financial Times', url: 'https://www.ft.com/rss/home', type: 'rss', section: 'global' },
-
-  // Australia sources
-  { name: 'ABC News Australia', url: 'https://www.abc.net.au/news/feed/45910/rss.xml', type: 'rss', section: 'australia' },
-  { name: 'Guardian Australia', url: 'https://www.theguardian.com/australia-news/rss', type: 'rss', section: 'australia' },
-  { name: 'ABC Just In', url: 'https://www.abc.net.au/news/feed/51120/rss.xml', type: 'rss', section: 'australia' },
-  // Additional Australia sources (tested and verified)
-  { name: 'The Age', url: 'https://www.theage.com.au/rss/feed.xml', type: 'rss', section: 'australia' },
-  { name: '9News', url: 'https://www.9news.com.au/rss', type: 'rss', section: 'australia' },
-  { name: 'Crikey', url: 'https://www.crikey.com.au/feed/', type: 'rss', section: 'australia' },
-  { name: 'Canberra Times', url: 'https://www.canberratimes.com.au/rss.xml', type: 'rss', section: 'australia' },
-
-  // Technology sources  
-  { name: 'The Verge', url: 'https://www.theverge.com/rss/index.xml', type: 'rss', section: 'technology' },
-  { name: 'TechCrunch', url: 'https://techcrunch.com/feed/', type: 'rss', section: 'technology' },
-  { name: 'Ars Technica', url: 'https://feeds.arstechnica.com/arstechnica/index', type: 'rss', section: 'technology' },
-  { name: 'Guardian Tech', url: 'https://www.theguardian.com/technology/rss', type: 'rss', section: 'technology' },
-  // Additional Technology sources (tested and verified)
-  { name: 'Ars Technica Main', url: 'https://arstechnica.com/feed/', type: 'rss', section: 'technology' },
-  { name: 'ZDNet', url: 'https://www.zdnet.com/news/rss.xml', type: 'rss', section: 'technology' },
-  { name: 'Wired Tech', url: 'https://www.wired.com/feed/rss', type: 'rss', section: 'technology' },
-  { name: 'TechMeme', url: 'https://www.techmeme.com/feed.xml', type: 'rss', section: 'technology' },
-  { name: 'VentureBeat', url: 'https://venturebeat.com/feed/', type: 'rss', section: 'technology' },
-  { name: 'Engadget', url: 'https://www.engadget.com/rss.xml', type: 'rss', section: 'technology' },
-
-  // Medical sources - mix of health and science feeds
-  { name: 'BBC Health', url: 'https://feeds.bbci.co.uk/news/health/rss.xml', type: 'rss', section: 'medical', subsection: 'patient_signals' },
-  { name: 'BBC Science', url: 'https://feeds.bbci.co.uk/news/science_and_environment/rss.xml', type: 'rss', section: 'medical', subsection: 'patient_signals' },
-  { name: 'Guardian Health', url: 'https://www.theguardian.com/society/health/rss', type: 'rss', section: 'medical', subsection: 'patient_signals' },
-  { name: 'newsGP', url: 'https://www1.racgp.org.au/newsgp?rss=RACGPnewsGPArticles', type: 'rss', section: 'medical', subsection: 'professional' },
-];
+import { FeedSource, NewsItem } from './types';
+import feedRegistry from './config/feeds.json';
+
+const SECTIONS = ['global', 'australia', 'technology', 'medical'];
+const SUBSECTIONS = ['clinical', 'professional', 'patient_signals', 'month_in_research'];
+const TRUST_LEVELS = ['trusted', 'standard'];
+
+// Scraped "popular" pages aren't feeds, but they inherit their publisher's trust
+const SCRAPED_TRUSTED_SOURCES: Record<string, string[]> = {
+  australia: ['ABC News Australia (Popular)']
+};
+
+// Two registry URLs that differ only by scheme, "www.", host case or a
+// trailing slash point at the same feed
+function feedUrlKey(url: string): string {
+  const parsed = new URL(url);
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+}
+
+// Validate a raw registry object and return the feed list with defaults applied.
+// All problems are collected so a bad config reports everything at once.
+export function parseFeedRegistry(registry: any): FeedSource[] {
+  if (!registry || !Array.isArray(registry.feeds)) {
+    throw new Error('Invalid feed registry: expected an object with a "feeds" array');
+  }
+
+  const defaults = registry.defaults || {};
+  const errors: string[] = [];
+  const seenNames = new Set<string>();
+  const seenUrls = new Map<string, string>(); // URL key -> label of the first feed using it
+
+  const feeds: FeedSource[] = registry.feeds.map((raw: any, index: number) => {
+    const entry = { ...defaults, ...raw };
+    const label = `feeds[${index}]${typeof entry.name === 'string' ? ` (${entry.name})` : ''}`;
+
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+      errors.push(`${label}: "name" must be a non-empty string`);
+    } else if (seenNames.has(entry.name)) {
+      errors.push(`${label}: duplicate feed name "${entry.name}"`);
+    } else {
+      seenNames.add(entry.name);
+    }
+
+    if (typeof entry.url !== 'string' || !/^https?:\/\//.test(entry.url)) {
+      errors.push(`${label}: "url" must be an http(s) URL`);
+    } else {
+      try {
+        // The same feed under two names double-counts its stories as coverage
+        const key = feedUrlKey(entry.url);
+        const existing = seenUrls.get(key);
+        if (existing) {
+          errors.push(`${label}: duplicate feed URL, already registered as ${existing}`);
+        } else {
+          seenUrls.set(key, label);
+        }
+      } catch {
+        errors.push(`${label}: "url" is not a valid URL`);
+      }
+    }
+
+    if (entry.publisher !== undefined && (typeof entry.publisher !== 'string' || !entry.publisher.trim())) {
+      errors.push(`${label}: "publisher" must be a non-empty string`);
+    }
+
+    if (entry.type !== 'rss' && entry.type !== 'api') {
+      errors.push(`${label}: "type" must be "rss" or "api"`);
+    }
+
+    if (!SECTIONS.includes(entry.section)) {
+      errors.push(`${label}: "section" must be one of ${SECTIONS.join(', ')}`);
+    }
+
+    if (entry.subsection !== undefined) {
+      if (entry.section !== 'medical') {
+        errors.push(`${label}: "subsection" is only allowed in the medical section`);
+      } else if (!SUBSECTIONS.includes(entry.subsection)) {
+        errors.push(`${label}: "subsection" must be one of ${SUBSECTIONS.join(', ')}`);
+      }
+    }
+
+    if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+      errors.push(`${label}: "enabled" must be a boolean`);
+    }
+
+    if (entry.trust !== undefined && !TRUST_LEVELS.includes(entry.trust)) {
+      errors.push(`${label}: "trust" must be one of ${TRUST_LEVELS.join(', ')}`);
+    }
+
+    if (entry.region_hints !== undefined &&
+        (!Array.isArray(entry.region_hints) || entry.region_hints.some((hint: any) => typeof hint !== 'string'))) {
+      errors.push(`${label}: "region_hints" must be an array of strings`);
+    }
+
+    if (entry.timeout_ms !== undefined &&
+        (typeof entry.timeout_ms !== 'number' || !(entry.timeout_ms > 0))) {
+      errors.push(`${label}: "timeout_ms" must be a positive number`);
+    }
+
+    return {
+      ...entry,
+      publisher: entry.publisher ?? entry.name,
+      enabled: entry.enabled ?? true,
+      trust: entry.trust ?? 'standard'
+    } as FeedSource;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid feed registry:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return feeds;
+}
+
+export const FEED_SOURCES: FeedSource[] = parseFeedRegistry(feedRegistry);
 
 export function getFeedsBySection(section: string, subsection?: string): FeedSource[] {
   return FEED_SOURCES.filter(feed => {
+    if (!feed.enabled) return false;
     if (subsection) {
       return feed.section === section && feed.subsection === subsection;
     }
     return feed.section === section && !feed.subsection;
   });
-}
\ No newline at end of file
+}
+
+// Source names allowed to show single-source stories in a section
+export function getTrustedSources(section: string): string[] {
+  const trustedFeeds = FEED_SOURCES
+    .filter(feed => feed.enabled && feed.section === section && feed.trust === 'trusted')
+    .map(feed => feed.name);
+
+  return [...trustedFeeds, ...(SCRAPED_TRUSTED_SOURCES[section] || [])];
+}
+
+// The publisher an item counts towards for coverage. Several feeds (and the
+// scraped popular pages) can share one publisher, e.g. BBC World and BBC Health.
+export function getPublisher(item: NewsItem): string {
+  return item.publisher || item.source;
+}
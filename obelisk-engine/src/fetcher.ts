@@ -1,127 +1,259 @@
 import { XMLParser } from 'fast-xml-parser';
 import { NewsItem, FeedSource } from './types';
 import { cleanUrl, extractCanonicalUrl } from './normalize';
+import { FeedCache } from './feed-cache';
+import { FeedHealthTracker } from './feed-health';
+import { DateParseReport, resolvePublishedAt } from './dates';
+import { decodeHtmlEntities, extractNodeText, toPlainText } from './html';
+import { filterItemsByRegion } from './region';
+import { HttpClient, httpClient } from './http-client';
 
 const parser = new XMLParser({
   ignoreAttributes: false,
   attributeNamePrefix: '@_',
-  textNodeName: '#text'
+  textNodeName: '#text',
+  // Keep Atom text constructs raw so type="xhtml" markup keeps its word order
+  stopNodes: ['feed.entry.title', 'feed.entry.summary', 'feed.entry.content']
 });
 
-export async function fetchRSSFeed(source: FeedSource): Promise<NewsItem[]> {
-  const maxAttempts = 3;
-  const timeoutMs = 30000; // 30 second timeout
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const response = await fetch(source.url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; ActuaNewsBot/1.0)'
-        },
-        signal: AbortSignal.timeout(timeoutMs)
+export interface FetchOptions {
+  cache?: FeedCache;
+  health?: FeedHealthTracker;
+  http?: HttpClient; // Defaults to the shared client
+}
+
+export async function fetchRSSFeed(source: FeedSource, options: FetchOptions = {}): Promise<NewsItem[]> {
+  const { cache, health, http = httpClient } = options;
+  const cached = await cache?.get(source.url);
+  const startTime = Date.now();
+
+  try {
+    const headers: Record<string, string> = {};
+
+    // Conditional GET: let the publisher tell us nothing has changed
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+    // Feeds are published for machines to read, so robots.txt isn't consulted
+    const response = await http.fetch(source.url, {
+      headers,
+      timeoutMs: source.timeout_ms ?? 30000, // 30 second default timeout
+      checkRobots: false
+    });
+
+    if (response.status === 304 && cached) {
+      health?.record(source, {
+        ok: true,
+        status: 304,
+        itemCount: cached.items.length,
+        latencyMs: Date.now() - startTime
       });
+      return filterItemsByRegion(withPublisher(cached.items, source), source);
+    }
 
-      if (!response.ok) {
-        console.error(`Failed to fetch ${source.name}: ${response.status}`);
-        return [];
-      }
+    if (!response.ok) {
+      console.error(`Failed to fetch ${source.name}: ${response.status}`);
+      health?.record(source, {
+        ok: false,
+        status: response.status,
+        error: `HTTP ${response.status}`,
+        itemCount: 0,
+        latencyMs: Date.now() - startTime
+      });
+      return [];
+    }
 
-      const text = await response.text();
-      const parsed = parser.parse(text);
-
-      const items: NewsItem[] = [];
-    
-    // Handle RSS 2.0 format
-    if (parsed.rss?.channel?.item) {
-      const feedItems = Array.isArray(parsed.rss.channel.item) 
-        ? parsed.rss.channel.item 
-        : [parsed.rss.channel.item];
-        
-      for (let i = 0; i < feedItems.length; i++) {
-        const item = feedItems[i];
-        let imageUrl = extractImageFromItem(item);
-        if (imageUrl) {
-          imageUrl = makeAbsoluteUrl(imageUrl, item.link || item.guid || source.url);
-        }
-        items.push({
-          source: source.name,
-          url: cleanUrl(item.link || item.guid || ''),
-          published_at: item.pubDate || new Date().toISOString(),
-          title: cleanText(item.title),
-          standfirst: cleanText(item.description || item.summary || ''),
-          content: cleanText(item['content:encoded'] || item.description || ''),
-          feed_position: i, // Track position in RSS feed for popularity scoring
-          image_url: imageUrl
-        });
-      }
+    const text = await response.text();
+    const dateReport: DateParseReport = { missing: 0, unparseable: [] };
+    const items = parseFeed(text, source, dateReport);
+
+    if (dateReport.missing > 0 || dateReport.unparseable.length > 0) {
+      const samples = dateReport.unparseable.slice(0, 3).map(date => `"${date}"`).join(', ');
+      console.warn(`${source.name}: ${dateReport.missing} items without a date, ${dateReport.unparseable.length} with unparseable dates${samples ? ` (e.g. ${samples})` : ''}`);
     }
-    
-    // Handle Atom format
-    if (parsed.feed?.entry) {
-      const feedItems = Array.isArray(parsed.feed.entry) 
-        ? parsed.feed.entry 
-        : [parsed.feed.entry];
-        
-      for (let i = 0; i < feedItems.length; i++) {
-        const item = feedItems[i];
-        const link = item.link?.['@_href'] || item.link || '';
-        let imageUrl = extractImageFromItem(item);
-        if (imageUrl) {
-          imageUrl = makeAbsoluteUrl(imageUrl, link || source.url);
-        }
-        items.push({
-          source: source.name,
-          url: cleanUrl(link),
-          published_at: item.published || item.updated || new Date().toISOString(),
-          title: cleanText(item.title),
-          standfirst: cleanText(item.summary || ''),
-          content: cleanText(item.content || item.summary || ''),
-          feed_position: i, // Track position in Atom feed for popularity scoring
-          image_url: imageUrl
-        });
-      }
+
+    // A feed that parses to nothing is as broken as one that 404s
+    health?.record(source, {
+      ok: items.length > 0,
+      status: response.status,
+      error: items.length > 0 ? undefined : 'No items parsed',
+      itemCount: items.length,
+      latencyMs: Date.now() - startTime,
+      dateReport
+    });
+
+    const firstSeen = applyFirstSeen(items, cached?.first_seen);
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    // Feeds without validators are still cached while they have undated items
+    if (cache && (etag || lastModified || Object.keys(firstSeen).length > 0)) {
+      await cache.set(source.url, {
+        etag: etag || undefined,
+        last_modified: lastModified || undefined,
+        fetched_at: new Date().toISOString(),
+        items,
+        first_seen: Object.keys(firstSeen).length > 0 ? firstSeen : undefined
+      });
     }
-    
-      // Filter out items from wrong regions
-      if (source.section === 'global') {
-        // Exclude Australian content from global section
-        return items.filter(item => {
-          const isAustralian =
-            item.url.includes('.au/') ||
-            item.url.includes('australia') ||
-            item.title.toLowerCase().includes('australia') ||
-            item.title.toLowerCase().includes('aussie');
-          return !isAustralian;
-        });
-      }
 
-      if (source.section === 'australia') {
-        // Only include Australian content
-        return items.filter(item => {
-          const isAustralian =
-            item.url.includes('.au/') ||
-            item.url.includes('australia') ||
-            item.title.toLowerCase().includes('australia') ||
-            item.title.toLowerCase().includes('aussie') ||
-            source.name.includes('Australia') ||
-            source.name.includes('AU');
-          return isAustralian;
-        });
-      }
+    return filterItemsByRegion(withPublisher(items, source), source);
+  } catch (error) {
+    console.error(`Error fetching ${source.name}:`, error);
+    health?.record(source, {
+      ok: false,
+      error: error instanceof Error ? error.message : String(error),
+      itemCount: 0,
+      latencyMs: Date.now() - startTime
+    });
+    return [];
+  }
+}
 
-      return items;
-    } catch (error) {
-      if (attempt === maxAttempts) {
-        console.error(`Error fetching ${source.name}:`, error);
-        return [];
+// Undated items are stamped with the fetch time; give any seen on an earlier
+// run that run's time instead, so they age out rather than look new every run.
+// Returns the first-seen times of this fetch's undated items to cache.
+function applyFirstSeen(items: NewsItem[], previous: Record<string, string> = {}): Record<string, string> {
+  const firstSeen: Record<string, string> = {};
+  for (const item of items) {
+    if (!item.date_estimated || !item.url) continue;
+    if (previous[item.url]) item.published_at = previous[item.url];
+    firstSeen[item.url] = item.published_at;
+  }
+  return firstSeen;
+}
+
+// Stamped after the cache so registry publisher changes apply to cached items
+function withPublisher(items: NewsItem[], source: FeedSource): NewsItem[] {
+  const publisher = source.publisher || source.name;
+  return items.map(item => ({ ...item, publisher }));
+}
+
+// Parse an RSS 2.0, RSS 1.0 (RDF), Atom or JSON Feed document into news items
+export function parseFeed(text: string, source: FeedSource, dateReport?: DateParseReport): NewsItem[] {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    return parseJSONFeed(trimmed, source, dateReport);
+  }
+
+  const parsed = parser.parse(text);
+  const items: NewsItem[] = [];
+  
+  // Handle RSS 2.0 format
+  if (parsed.rss?.channel?.item) {
+    asArray(parsed.rss.channel.item).forEach((item, i) => {
+      items.push(rssItemToNewsItem(item, i, source, dateReport));
+    });
+  }
+
+  // Handle RSS 1.0 (RDF) format - items sit alongside the channel, not inside it
+  if (parsed['rdf:RDF']?.item) {
+    asArray(parsed['rdf:RDF'].item).forEach((item, i) => {
+      items.push(rssItemToNewsItem(item, i, source, dateReport));
+    });
+  }
+  
+  // Handle Atom format
+  if (parsed.feed?.entry) {
+    asArray(parsed.feed.entry).forEach((item, i) => {
+      const link = selectAtomLink(item.link) || (/^https?:\/\//.test(nodeText(item.id)) ? nodeText(item.id) : '');
+      let imageUrl = extractImageFromItem(item) || selectAtomLink(item.link, 'enclosure', 'image/');
+      if (imageUrl) {
+        imageUrl = makeAbsoluteUrl(imageUrl, link || source.url);
       }
-      // Exponential backoff before retrying
-      const delay = attempt * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+      items.push({
+        source: source.name,
+        url: cleanUrl(link),
+        ...resolvePublishedAt([item.published, item.updated], dateReport),
+        title: cleanText(item.title),
+        standfirst: cleanText(item.summary || ''),
+        content: cleanText(item.content || item.summary || ''),
+        feed_position: i, // Track position in Atom feed for popularity scoring
+        image_url: imageUrl
+      });
+    });
   }
 
-  return [];
+  return items;
+}
+
+// RSS 2.0 and RSS 1.0 items share element names; RDF dates come from Dublin Core
+function rssItemToNewsItem(item: any, position: number, source: FeedSource, dateReport?: DateParseReport): NewsItem {
+  const link = nodeText(item.link) || nodeText(item.guid) || item['@_rdf:about'] || '';
+  let imageUrl = extractImageFromItem(item);
+  if (imageUrl) {
+    imageUrl = makeAbsoluteUrl(imageUrl, link || source.url);
+  }
+  return {
+    source: source.name,
+    url: cleanUrl(link),
+    ...resolvePublishedAt([item.pubDate, item['dc:date']], dateReport),
+    title: cleanText(item.title),
+    standfirst: cleanText(item.description || item.summary || ''),
+    content: cleanText(item['content:encoded'] || item.description || ''),
+    feed_position: position, // Track position in RSS feed for popularity scoring
+    image_url: imageUrl
+  };
+}
+
+// JSON Feed 1.0/1.1 (https://www.jsonfeed.org/version/1.1/)
+function parseJSONFeed(text: string, source: FeedSource, dateReport?: DateParseReport): NewsItem[] {
+  let feed: any;
+  try {
+    feed = JSON.parse(text);
+  } catch {
+    console.error(`Invalid JSON Feed from ${source.name}`);
+    return [];
+  }
+
+  if (!String(feed?.version || '').includes('jsonfeed.org') || !Array.isArray(feed.items)) {
+    return [];
+  }
+
+  return feed.items.map((item: any, i: number) => {
+    const link = item.url || item.external_url || (/^https?:\/\//.test(item.id || '') ? item.id : '');
+    const imageAttachment = (item.attachments || [])
+      .find((attachment: any) => attachment?.mime_type?.startsWith('image/'));
+    let imageUrl = item.image || item.banner_image || imageAttachment?.url;
+    if (imageUrl) {
+      imageUrl = makeAbsoluteUrl(imageUrl, link || source.url);
+    }
+    return {
+      source: source.name,
+      url: cleanUrl(link),
+      ...resolvePublishedAt([item.date_published, item.date_modified], dateReport),
+      title: cleanText(item.title || item.summary || item.content_text || ''),
+      standfirst: cleanText(item.summary || item.content_text || ''),
+      content: cleanText(item.content_html || item.content_text || item.summary || ''),
+      feed_position: i, // Track position in JSON Feed for popularity scoring
+      image_url: imageUrl
+    };
+  });
+}
+
+// Atom entries can carry several <link>s; the article is rel="alternate" (the
+// default when rel is omitted), preferring an HTML one
+function selectAtomLink(links: any, rel: string = 'alternate', typePrefix?: string): string | undefined {
+  if (!links) return undefined;
+  if (typeof links === 'string') return rel === 'alternate' ? links : undefined;
+
+  const candidates = asArray(links).filter(link =>
+    (link['@_rel'] || 'alternate') === rel &&
+    link['@_href'] &&
+    (!typePrefix || link['@_type']?.startsWith(typePrefix))
+  );
+  const htmlLink = candidates.find(link => !link['@_type'] || link['@_type'] === 'text/html');
+  return (htmlLink || candidates[0])?.['@_href'];
+}
+
+function asArray(value: any): any[] {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Text of a simple element that may have been parsed with attributes
+function nodeText(node: any): string {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
 }
 
 function extractImageFromItem(item: any): string | undefined {
@@ -159,9 +291,10 @@ function extractImageFromItem(item: any): string | undefined {
   }
   
   // 4. Extract first image from description HTML
-  const description = item.description || item.summary || item['content:encoded'] || '';
+  const description = item.description || item.summary || item['content:encoded'] || item.content || '';
   const descText = typeof description === 'string' ? description : description['#text'] || '';
-  const imgMatch = descText.match(/<img[^>]+src=["']([^"']+)["']/i);
+  // Escaped HTML (Atom type="html") needs decoding before the <img> is visible
+  const imgMatch = decodeHtmlEntities(String(descText)).match(/<img[^>]+src=["']([^"']+)["']/i);
   if (imgMatch && imgMatch[1]) {
     return imgMatch[1];
   }
@@ -179,45 +312,24 @@ function makeAbsoluteUrl(url: string, base: string): string {
 
 function cleanText(text: any): string {
   if (!text) return '';
-  
-  // Handle different text structures from XML parser
-  let rawText = '';
-  
-  if (typeof text === 'string') {
-    rawText = text;
-  } else if (typeof text === 'object') {
-    // Extract text from XML parser object structure
-    if (text['#text']) {
-      rawText = text['#text'];
-    } else if (text._ || text.__) {
-      rawText = text._ || text.__;
-    } else {
-      rawText = JSON.stringify(text);
-    }
-  } else {
-    rawText = String(text);
-  }
-  
-  // Remove HTML tags
-  let cleaned = rawText.replace(/<[^>]*>/g, '');
-  
-  // Decode HTML entities
-  cleaned = cleaned
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&nbsp;/g, ' ');
-    
-  // Clean up whitespace
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-  
-  return cleaned;
+
+  // Parsed XML nodes may be plain strings, { '#text', '@_type' } objects or
+  // nested markup (Atom xhtml content) - flatten them to their text
+  const rawText = typeof text === 'string' ? text : extractNodeText(text);
+  return toPlainText(rawText);
 }
 
-export async function fetchAllFeeds(sources: FeedSource[]): Promise<NewsItem[]> {
-  const promises = sources.map(source => fetchRSSFeed(source));
+export async function fetchAllFeeds(sources: FeedSource[], options: FetchOptions = {}): Promise<NewsItem[]> {
+  const activeSources = options.health
+    ? sources.filter(source => {
+        const due = options.health!.shouldFetch(source);
+        if (!due) console.log(`Skipping quarantined feed: ${source.name}`);
+        return due;
+      })
+    : sources;
+
+  // The HTTP client bounds how many of these are actually in flight
+  const promises = activeSources.map(source => fetchRSSFeed(source, options));
   const results = await Promise.allSettled(promises);
   
   const allItems: NewsItem[] = [];
@@ -228,14 +340,18 @@ export async function fetchAllFeeds(sources: FeedSource[]): Promise<NewsItem[]>
     }
   }
   
-  // Sort by date (newest first)
+  // Sort by date (newest first); items with estimated dates go after dated ones
   allItems.sort((a, b) => {
+    if (!!a.date_estimated !== !!b.date_estimated) {
+      return a.date_estimated ? 1 : -1;
+    }
     const dateA = new Date(a.published_at).getTime();
     const dateB = new Date(b.published_at).getTime();
     return dateB - dateA;
   });
   
-  // Limit to recent items (last 48 hours)
+  // Limit to recent items (last 48 hours). Undated items carry the time they
+  // were first seen (kept per URL in the feed cache), so they still age out.
   const cutoffTime = Date.now() - (48 * 60 * 60 * 1000);
   return allItems.filter(item => {
     const itemTime = new Date(item.published_at).getTime();
@@ -1,42 +1,63 @@
 import { promises as fs } from 'fs';
-import { getFeedsBySection } from './feeds';
-import { fetchAllFeeds, fetchEvidenceAlerts } from './fetcher';
+import { getFeedsBySection, getTrustedSources } from './feeds';
+import { fetchAllFeeds, fetchEvidenceAlerts, FetchOptions } from './fetcher';
+import { FileFeedCache } from './feed-cache';
+import { FileCache } from './cache';
+import { enrichItems, ArticleMetadata, ArticleCache } from './enrich';
+import { trackStories, StoryRecord } from './story-tracker';
+import { tagEntities } from './entities';
+import { FeedHealthTracker, FeedHealthReport } from './feed-health';
 import { clusterNewsItems, CLUSTER_CONFIGS } from './cluster';
+import { scoreCluster, sectionOrderings } from './popularity';
 import { fetchScrapedPopularArticles } from './scraper';
-import { generateBatchAISummaries } from './normalize';
-import { SectionData, MedicalSectionData, NewsCluster } from './types';
+import { generateBatchAISummaries, CachedSummary } from './normalize';
+import { createProviders } from './llm';
+import { SectionData, MedicalSectionData } from './types';
 
-// GitHub Actions environment - check for Groq API key
+// GitHub Actions environment - check for at least one configured LLM provider
 const checkAI = () => {
-  const groqKey = process.env.GROQ_KEY;
+  const providers = createProviders();
 
-  if (!groqKey) {
-    console.warn('Groq API key not found, AI summaries will be disabled');
+  if (providers.length === 0) {
+    console.warn('No LLM provider configured (GROQ_KEY, GEMINI_API_KEY, OPENAI_API_KEY or LLM_PROVIDERS=mock), AI summaries will be disabled');
     return false;
   }
 
+  console.log(`LLM providers: ${providers.map(({ provider }) => `${provider.name}/${provider.model}`).join(', ')}`);
   return true;
 };
 
-async function processSection(section: string): Promise<SectionData> {
+// Article page enrichment is opt-in: it fetches every new item's page once
+const enrichEnabled = process.env.ENRICH_ARTICLES === 'true';
+
+// Set to log the pairwise similarity matrix of every cluster this size or larger
+const clusterDebugMinSize = parseInt(process.env.CLUSTER_DEBUG_MIN_SIZE || '', 10) || undefined;
+
+// Tracked stories by section ("global", "medical:clinical", ...), kept
+// between runs in data/story-index.json
+type StoryIndex = Record<string, StoryRecord[]>;
+
+async function processSection(section: string, fetchOptions: FetchOptions, articleCache: ArticleCache, storyIndex: StoryIndex): Promise<SectionData> {
   console.log(`Processing section: ${section}`);
 
   const sources = getFeedsBySection(section);
   console.log(`Fetching ${sources.length} feeds for ${section}`);
 
-  const items = await fetchAllFeeds(sources);
+  let items = await fetchAllFeeds(sources, fetchOptions);
   console.log(`Retrieved ${items.length} items from feeds`);
 
+  if (enrichEnabled) {
+    items = await enrichItems(items, { cache: articleCache });
+  }
+  items = tagEntities(items);
+
   // Use section-specific clustering config to prevent transitive false positives
-  const clusterConfig = CLUSTER_CONFIGS[section] || CLUSTER_CONFIGS.global;
+  const clusterConfig = { ...(CLUSTER_CONFIGS[section] || CLUSTER_CONFIGS.global), debugMatrixMinSize: clusterDebugMinSize };
   const clusters = clusterNewsItems(items, clusterConfig);
   console.log(`Created ${clusters.length} clusters (threshold: ${clusterConfig.similarityThreshold}, minPair: ${clusterConfig.minPairSimilarity})`);
 
   // Define trusted sources that can show single-source stories
-  const trustedSources = {
-    'australia': ['ABC News Australia', 'ABC Just In', 'ABC News Australia (Popular)'],
-    'technology': ['Ars Technica', 'Ars Technica Main']
-  };
+  const trustedSources = getTrustedSources(section);
 
   // Filter clusters based on section rules
   let filteredClusters = clusters;
@@ -46,12 +67,7 @@ async function processSection(section: string): Promise<SectionData> {
       if (cluster.coverage >= 2) return true;
       
       // For single-source clusters, only include if from trusted sources
-      if (section in trustedSources) {
-        const trusted = trustedSources[section as keyof typeof trustedSources];
-        return cluster.items.some(item => trusted.includes(item.source));
-      }
-      
-      return false;
+      return cluster.items.some(item => trustedSources.includes(item.source));
     });
   }
 
@@ -84,7 +100,9 @@ async function processSection(section: string): Promise<SectionData> {
 
   // Calculate popularity scores for each cluster
   filteredClusters.forEach(cluster => {
-    cluster.popularity_score = calculatePopularityScore(cluster, section);
+    const { score, breakdown } = scoreCluster(cluster, section);
+    cluster.popularity_score = score;
+    cluster.score_breakdown = breakdown;
   });
 
   // Sort by popularity score (higher = more popular)
@@ -92,6 +110,10 @@ async function processSection(section: string): Promise<SectionData> {
     return (b.popularity_score || 0) - (a.popularity_score || 0);
   });
 
+  // Story IDs and history for every cluster, so one that drops out of the
+  // top 50 keeps its ID if it climbs back
+  storyIndex[section] = trackStories(filteredClusters, storyIndex[section] || []);
+
   // AI processing will be done in batch for all sections at once
 
   const data: SectionData = {
@@ -102,7 +124,7 @@ async function processSection(section: string): Promise<SectionData> {
   return data;
 }
 
-async function processMedicalSections(): Promise<MedicalSectionData> {
+async function processMedicalSections(fetchOptions: FetchOptions, articleCache: ArticleCache, storyIndex: StoryIndex): Promise<MedicalSectionData> {
   console.log('Processing medical sections');
   
   // Refresh each medical subsection
@@ -110,9 +132,14 @@ async function processMedicalSections(): Promise<MedicalSectionData> {
   
   const results = await Promise.all(subsections.map(async (subsection) => {
     const sources = getFeedsBySection('medical', subsection);
-    const items = await fetchAllFeeds(sources);
-    const medicalConfig = CLUSTER_CONFIGS.medical || CLUSTER_CONFIGS.global;
+    let items = await fetchAllFeeds(sources, fetchOptions);
+    if (enrichEnabled) {
+      items = await enrichItems(items, { cache: articleCache });
+    }
+    items = tagEntities(items);
+    const medicalConfig = { ...(CLUSTER_CONFIGS.medical || CLUSTER_CONFIGS.global), debugMatrixMinSize: clusterDebugMinSize };
     const clusters = clusterNewsItems(items, medicalConfig);
+    storyIndex[`medical:${subsection}`] = trackStories(clusters, storyIndex[`medical:${subsection}`] || []);
 
     const data: SectionData = {
       updated_at: new Date().toISOString(),
@@ -141,87 +168,23 @@ async function processMedicalSections(): Promise<MedicalSectionData> {
   return response;
 }
 
-function calculatePopularityScore(cluster: NewsCluster, section: string): number {
-  let score = 0;
-  
-  // Base score from coverage (multi-source stories are inherently more popular)
-  // Multi-source articles get much higher base scores to ensure they always rank above single-source
-  if (cluster.coverage >= 2) {
-    score += cluster.coverage * 1000; // 2000+ for 2-source, 3000+ for 3-source, etc.
-  } else {
-    score += 100; // Single-source articles start much lower
+async function loadFeedHealthReport(): Promise<FeedHealthReport | null> {
+  try {
+    return JSON.parse(await fs.readFile('data/feed-health.json', 'utf-8'));
+  } catch {
+    // First run or unreadable report - start tracking from scratch
+    return null;
   }
-  
-  // For single-source trusted articles, use content-based popularity indicators
-  if (cluster.coverage === 1) {
-    const item = cluster.items[0];
-    
-    // Higher bonus for scraped articles (they come from "popular" sections)
-    if (item.feed_position !== undefined && item.feed_position < 10) {
-      // Scraped articles get massive bonus since they're from curated popular sections
-      score += 200 - (item.feed_position * 10); // First scraped article gets 200, second gets 190, etc.
-    }
-    
-    // Bonus for trusted sources (these are allowed single-source articles)
-    const trustedSources = {
-      'australia': ['ABC News Australia', 'ABC Just In', 'ABC News Australia (Popular)'],
-      'technology': ['Ars Technica', 'Ars Technica Main']
-    };
-    
-    if (section in trustedSources) {
-      const trusted = trustedSources[section as keyof typeof trustedSources];
-      if (trusted.includes(item.source)) {
-        score += 30; // Trusted source bonus
-      }
-    }
-    
-    // Content quality and popularity indicators
-    const title = item.title.toLowerCase();
-    const content = (item.standfirst || item.content || '').toLowerCase();
-    
-    // Technology-specific popularity indicators
-    if (section === 'technology') {
-      // High interest tech topics
-      if (title.includes('ai') || title.includes('artificial intelligence') || title.includes('chatgpt') || title.includes('gpt')) score += 15;
-      if (title.includes('apple') || title.includes('iphone') || title.includes('google') || title.includes('microsoft')) score += 12;
-      if (title.includes('security') || title.includes('privacy') || title.includes('hack')) score += 10;
-      if (title.includes('climate') || title.includes('space') || title.includes('mars')) score += 8;
-      if (title.includes('bitcoin') || title.includes('crypto') || title.includes('blockchain')) score += 8;
-      if (title.includes('tesla') || title.includes('electric') || title.includes('ev')) score += 6;
-      
-      // Content type indicators
-      if (title.includes('review') || title.includes('test')) score += 5;
-      if (title.includes('breaking') || title.includes('exclusive')) score += 8;
-    }
-    
-    // Australia-specific popularity indicators  
-    if (section === 'australia') {
-      // High interest topics
-      if (title.includes('election') || title.includes('politics') || title.includes('government')) score += 12;
-      if (title.includes('economy') || title.includes('housing') || title.includes('interest rate')) score += 10;
-      if (title.includes('climate') || title.includes('bushfire') || title.includes('flood')) score += 8;
-      if (title.includes('sydney') || title.includes('melbourne') || title.includes('brisbane')) score += 6;
-      if (title.includes('sport') || title.includes('afl') || title.includes('nrl')) score += 5;
-      
-      // News type indicators
-      if (title.includes('breaking') || title.includes('live') || title.includes('urgent')) score += 10;
-      if (title.includes('exclusive') || title.includes('investigation')) score += 8;
-    }
-    
-    // Length and quality indicators (longer titles often indicate more significant stories)
-    if (title.length > 50 && title.length < 120) score += 3;
-    
-    // Avoid less newsworthy content
-    if (title.includes('weather') || title.includes('traffic')) score -= 5;
-    if (title.includes('sport') && section !== 'australia') score -= 3; // Sports less relevant in tech
+}
+
+// Stories clustered in earlier runs, for story continuity
+async function loadStoryIndex(): Promise<StoryIndex> {
+  try {
+    return JSON.parse(await fs.readFile('data/story-index.json', 'utf-8'));
+  } catch {
+    // First run or unreadable index - every story starts out new
+    return {};
   }
-  
-  // Recency factor (more recent = slightly higher score)
-  const hoursOld = (Date.now() - new Date(cluster.updated_at).getTime()) / (1000 * 60 * 60);
-  const recencyBonus = Math.max(0, 20 - hoursOld); // Up to 20 points for very recent stories
-  score += recencyBonus;
-  
-  return score;
 }
 
 async function main() {
@@ -230,14 +193,35 @@ async function main() {
     await fs.mkdir('data', { recursive: true });
     
     console.log('Starting news processing...');
+
+    // Feed validators/items for conditional GETs, and health from previous runs
+    const feedCache = new FileFeedCache();
+    const feedHealth = new FeedHealthTracker(await loadFeedHealthReport());
+    const fetchOptions: FetchOptions = { cache: feedCache, health: feedHealth };
+    const articleCache = new FileCache<ArticleMetadata>('.cache/article-cache.json', { pruneUntouched: true });
+    const storyIndex = await loadStoryIndex();
     
     // Process all sections in parallel
     const [globalData, australiaData, technologyData, medicalData] = await Promise.all([
-      processSection('global'),
-      processSection('australia'),
-      processSection('technology'),
-      processMedicalSections()
+      processSection('global', fetchOptions, articleCache, storyIndex),
+      processSection('australia', fetchOptions, articleCache, storyIndex),
+      processSection('technology', fetchOptions, articleCache, storyIndex),
+      processMedicalSections(fetchOptions, articleCache, storyIndex)
     ]);
+    await feedCache.flush();
+    if (enrichEnabled) {
+      await articleCache.flush();
+    }
+
+    // Latest / Trending / Most covered orderings use the IDs and history from tracking
+    for (const data of [globalData, australiaData, technologyData, ...Object.values(medicalData)]) {
+      data.orderings = sectionOrderings(data.clusters);
+    }
+
+    const healthReport = feedHealth.getReport();
+    if (healthReport.quarantined.length > 0) {
+      console.warn(`Quarantined feeds: ${healthReport.quarantined.join(', ')}`);
+    }
     
     // Batch AI processing for ALL clusters from ALL sections in a single API call
     const hasAI = checkAI();
@@ -252,10 +236,16 @@ async function main() {
           ...(medicalData.patient_signals?.clusters || [])
         ];
         
-        console.log(`Generating AI summaries for ${allClusters.length} clusters from all sections with Groq API (batch calls)`);
+        console.log(`Generating AI summaries for ${allClusters.length} clusters from all sections (batch calls)`);
 
-        // Process ALL clusters in batch calls
-        await generateBatchAISummaries(allClusters, { GROQ_KEY: process.env.GROQ_KEY });
+        // Process ALL clusters in batch calls; stories whose articles haven't
+        // changed since the last run reuse their cached summary
+        const summaryCache = new FileCache<CachedSummary>('.cache/summary-cache.json', { pruneUntouched: true });
+        try {
+          await generateBatchAISummaries(allClusters, process.env, { cache: summaryCache });
+        } finally {
+          await summaryCache.flush();
+        }
         console.log('Consolidated batch AI processing completed successfully');
 
       } catch (error) {
@@ -263,7 +253,7 @@ async function main() {
         // Clusters will keep their original titles and no AI summaries
       }
     } else {
-      console.log('AI processing disabled - no Groq API key');
+      console.log('AI processing disabled - no LLM provider configured');
     }
     
     // Write data to JSON files
@@ -271,7 +261,9 @@ async function main() {
       fs.writeFile('data/global.json', JSON.stringify(globalData, null, 2)),
       fs.writeFile('data/australia.json', JSON.stringify(australiaData, null, 2)),
       fs.writeFile('data/technology.json', JSON.stringify(technologyData, null, 2)),
-      fs.writeFile('data/medical.json', JSON.stringify(medicalData, null, 2))
+      fs.writeFile('data/medical.json', JSON.stringify(medicalData, null, 2)),
+      fs.writeFile('data/feed-health.json', JSON.stringify(healthReport, null, 2)),
+      fs.writeFile('data/story-index.json', JSON.stringify(storyIndex))
     ]);
     
     console.log('News processing completed successfully!');
@@ -0,0 +1,66 @@
+import { decode } from 'html-entities';
+
+// Block-level tags become spaces so adjacent paragraphs don't run together
+const BLOCK_TAGS = /<\/?(?:p|div|br|li|ul|ol|h[1-6]|blockquote|figure|figcaption|section|article|tr|td|th|table)\b[^>]*>/gi;
+
+// Decode every HTML entity form: named (&rsquo;), decimal (&#8217;) and hex (&#x2019;)
+export function decodeHtmlEntities(text: string): string {
+  return decode(text, { level: 'html5' });
+}
+
+// Remove markup, leaving readable text
+export function stripHtml(html: string): string {
+  return html
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|iframe)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(BLOCK_TAGS, ' ')
+    .replace(/<[^>]*>/g, '');
+}
+
+// Text content of a parsed XML node. Structured nodes (e.g. Atom
+// type="xhtml" content) are flattened in document order; attributes are skipped.
+export function extractNodeText(node: any): string {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'string') return node;
+  if (typeof node === 'number' || typeof node === 'boolean') return String(node);
+  if (Array.isArray(node)) return node.map(extractNodeText).join(' ');
+  if (typeof node === 'object') {
+    return Object.keys(node)
+      .filter(key => !key.startsWith('@_'))
+      .map(key => extractNodeText(node[key]))
+      .join(' ');
+  }
+  return '';
+}
+
+// Turn feed or page text into clean plain text: strip markup, decode
+// entities, then strip again for feeds that double-escape their HTML
+export function toPlainText(raw: string): string {
+  let text = stripHtml(raw);
+  text = decodeHtmlEntities(text);
+  if (/<\/?[a-z][^>]*>|<!\[CDATA\[/i.test(text)) {
+    text = decodeHtmlEntities(stripHtml(text));
+  }
+
+  return text
+    .replace(/[\u200B-\u200D\uFEFF]/g, '') // Zero-width characters
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Content of a <meta property|name="key"> tag, whichever order its attributes are in
+export function extractMetaContent(html: string, key: string): string | undefined {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Each value runs to its own closing quote, so content="Chef's pick" keeps its apostrophe
+  const patterns = [
+    new RegExp(`<meta[^>]+(?:property|name)=(["'])${escaped}\\1[^>]+content=(["'])(?<content>.*?)\\2`, 'i'),
+    new RegExp(`<meta[^>]+content=(["'])(?<content>.*?)\\1[^>]+(?:property|name)=(["'])${escaped}\\3`, 'i')
+  ];
+
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match?.groups?.content) return decodeHtmlEntities(match.groups.content).trim();
+  }
+  return undefined;
+}
@@ -0,0 +1,272 @@
+// Shared HTTP client for everything obelisk fetches from publishers: feeds,
+// scraped listing pages and article pages. It keeps us polite - a global and
+// a per-host concurrency cap, robots.txt rules and Crawl-delay for page
+// fetches, one identifiable User-Agent - and retries transient failures with
+// jittered backoff, honouring Retry-After.
+
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; ActuaNewsBot/1.0)';
+
+export interface HttpClientOptions {
+  userAgent?: string;        // Sent with every request (default: OBELISK_USER_AGENT or DEFAULT_USER_AGENT)
+  maxConcurrent?: number;    // Requests in flight across all hosts (default: 8)
+  maxPerHost?: number;       // Requests in flight per host (default: 2)
+  maxRetries?: number;       // Retries after the first attempt (default: 2)
+  baseDelayMs?: number;      // First retry delay, doubled per retry (default: 1000)
+  maxDelayMs?: number;       // Cap on any single wait, including Retry-After (default: 60000)
+  maxCrawlDelayMs?: number;  // Cap on a robots.txt Crawl-delay (default: 10000)
+}
+
+export interface HttpRequestOptions {
+  headers?: Record<string, string>;
+  timeoutMs?: number;     // Per-attempt timeout (default: 15000)
+  retries?: number;       // Overrides maxRetries for this request
+  checkRobots?: boolean;  // Consult robots.txt before fetching (default: true)
+}
+
+export class RobotsDisallowedError extends Error {
+  constructor(public url: string) {
+    super(`Disallowed by robots.txt: ${url}`);
+    this.name = 'RobotsDisallowedError';
+  }
+}
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+interface RobotsRule {
+  allow: boolean;
+  pattern: RegExp;
+  length: number; // Longest matching rule wins
+}
+
+interface RobotsPolicy {
+  rules: RobotsRule[];
+  crawlDelayMs?: number;
+}
+
+const ALLOW_ALL: RobotsPolicy = { rules: [] };
+
+// robots.txt paths support '*' wildcards and a '$' end anchor
+function compileRobotsPattern(path: string): RegExp {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Use the group for our agent token if there is one, otherwise the '*' group
+export function parseRobotsTxt(text: string, agentToken: string): RobotsPolicy {
+  const token = agentToken.toLowerCase();
+  const groups: Array<{ agents: string[]; lines: Array<[string, string]> }> = [];
+  let current: { agents: string[]; lines: Array<[string, string]> } | null = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || current.lines.length > 0) {
+        current = { agents: [], lines: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if (current) {
+      current.lines.push([field, value]);
+    }
+  }
+
+  const group = groups.find(g => g.agents.some(agent => agent !== '*' && token.includes(agent)))
+    || groups.find(g => g.agents.includes('*'));
+  if (!group) return ALLOW_ALL;
+
+  const policy: RobotsPolicy = { rules: [] };
+  for (const [field, value] of group.lines) {
+    if ((field === 'allow' || field === 'disallow') && value) {
+      policy.rules.push({ allow: field === 'allow', pattern: compileRobotsPattern(value), length: value.length });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds > 0) policy.crawlDelayMs = seconds * 1000;
+    }
+  }
+  return policy;
+}
+
+export function isAllowedByRobots(policy: RobotsPolicy, pathAndQuery: string): boolean {
+  let best: RobotsRule | undefined;
+  for (const rule of policy.rules) {
+    if (!rule.pattern.test(pathAndQuery)) continue;
+    // Longest match wins; Allow wins a tie
+    if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class HttpClient {
+  readonly userAgent: string;
+  private readonly agentToken: string;
+  private readonly maxConcurrent: number;
+  private readonly maxPerHost: number;
+  private readonly maxRetries: number;
+  private readonly baseDelayMs: number;
+  private readonly maxDelayMs: number;
+  private readonly maxCrawlDelayMs: number;
+
+  private active = 0;
+  private activeByHost = new Map<string, number>();
+  private lastStartByHost = new Map<string, number>();
+  private waiting: Array<{ host: string; start: () => void }> = [];
+  private robots = new Map<string, Promise<RobotsPolicy>>();
+
+  constructor(options: HttpClientOptions = {}) {
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    // Product token robots.txt groups are matched against, e.g. "ActuaNewsBot"
+    this.agentToken = this.userAgent.match(/compatible;\s*([^\/;)\s]+)/)?.[1]
+      || this.userAgent.split(/[\/\s]/)[0];
+    this.maxConcurrent = options.maxConcurrent ?? 8;
+    this.maxPerHost = options.maxPerHost ?? 2;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 60000;
+    this.maxCrawlDelayMs = options.maxCrawlDelayMs ?? 10000;
+  }
+
+  // GET a URL. Resolves with the final response, which may be a non-2xx
+  // status once retries are exhausted; rejects on network errors, timeouts
+  // and robots.txt disallows.
+  async fetch(url: string, options: HttpRequestOptions = {}): Promise<Response> {
+    const target = new URL(url);
+    const retries = options.retries ?? this.maxRetries;
+
+    let crawlDelayMs = 0;
+    if (options.checkRobots !== false) {
+      const policy = await this.getRobotsPolicy(target);
+      if (!isAllowedByRobots(policy, target.pathname + target.search)) {
+        throw new RobotsDisallowedError(url);
+      }
+      crawlDelayMs = Math.min(policy.crawlDelayMs ?? 0, this.maxCrawlDelayMs);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response: Response;
+      try {
+        response = await this.request(target, options, crawlDelayMs);
+      } catch (error) {
+        if (attempt >= retries) throw error;
+        await sleep(this.backoffDelay(attempt));
+        continue;
+      }
+
+      if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= retries) {
+        return response;
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      const delay = retryAfter !== undefined
+        ? Math.min(retryAfter + Math.random() * 1000, this.maxDelayMs)
+        : this.backoffDelay(attempt);
+      console.log(`Retrying ${target.host} (${response.status}) in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+
+  // Full-jitter exponential backoff
+  private backoffDelay(attempt: number): number {
+    const ceiling = Math.min(this.baseDelayMs * Math.pow(2, attempt), this.maxDelayMs);
+    return ceiling / 2 + Math.random() * ceiling / 2;
+  }
+
+  private async request(target: URL, options: HttpRequestOptions, crawlDelayMs: number): Promise<Response> {
+    await this.acquire(target.host, crawlDelayMs);
+    try {
+      const response = await fetch(target.toString(), {
+        headers: { 'User-Agent': this.userAgent, ...options.headers },
+        signal: AbortSignal.timeout(options.timeoutMs ?? 15000)
+      });
+      // Read the body while holding the slot so concurrency covers the
+      // download. Reading a clone buffers it for the original, which keeps its
+      // final URL after redirects (and a null body for 204, 205 and 304).
+      await response.clone().arrayBuffer();
+      return response;
+    } finally {
+      this.release(target.host);
+    }
+  }
+
+  private async acquire(host: string, crawlDelayMs: number): Promise<void> {
+    if (!this.canStart(host)) {
+      await new Promise<void>(start => this.waiting.push({ host, start }));
+    } else {
+      this.markStarted(host);
+    }
+
+    // Crawl-delay spaces out request starts to the same host
+    const startAt = Math.max(Date.now(), (this.lastStartByHost.get(host) ?? 0) + crawlDelayMs);
+    this.lastStartByHost.set(host, startAt);
+    if (startAt > Date.now()) await sleep(startAt - Date.now());
+  }
+
+  private canStart(host: string): boolean {
+    return this.active < this.maxConcurrent && (this.activeByHost.get(host) ?? 0) < this.maxPerHost;
+  }
+
+  private markStarted(host: string): void {
+    this.active++;
+    this.activeByHost.set(host, (this.activeByHost.get(host) ?? 0) + 1);
+  }
+
+  private release(host: string): void {
+    this.active--;
+    this.activeByHost.set(host, (this.activeByHost.get(host) ?? 1) - 1);
+
+    // Wake the oldest waiters whose host has a free slot
+    for (let i = 0; i < this.waiting.length && this.active < this.maxConcurrent; ) {
+      const waiter = this.waiting[i];
+      if (this.canStart(waiter.host)) {
+        this.waiting.splice(i, 1);
+        this.markStarted(waiter.host);
+        waiter.start();
+      } else {
+        i++;
+      }
+    }
+  }
+
+  // Fetched once per origin per run. An unreachable or missing robots.txt
+  // allows everything, as crawlers conventionally treat it.
+  private getRobotsPolicy(target: URL): Promise<RobotsPolicy> {
+    let policy = this.robots.get(target.origin);
+    if (!policy) {
+      policy = this.request(new URL('/robots.txt', target.origin), { timeoutMs: 10000 }, 0)
+        .then(async response => response.ok ? parseRobotsTxt(await response.text(), this.agentToken) : ALLOW_ALL)
+        .catch(() => ALLOW_ALL);
+      this.robots.set(target.origin, policy);
+    }
+    return policy;
+  }
+}
+
+// Shared by the fetcher, scraper and article enrichment so limits apply across all of them
+export const httpClient = new HttpClient({
+  userAgent: typeof process !== 'undefined' ? process.env.OBELISK_USER_AGENT : undefined
+});
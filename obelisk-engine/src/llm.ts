@@ -0,0 +1,379 @@
+import { RateLimitedQueue } from './request-queue';
+import { QuotaTracker } from './quota-tracker';
+import llmConfig from './config/llm.json';
+
+// LLM providers for summaries and headlines behind one interface. Each
+// provider gets its own request queue (concurrency, spacing, retries) and,
+// where the service has one, a daily quota. LLMRouter tries providers in the
+// configured order and fails over to the next when one is down, rejects the
+// request or has used up its quota.
+//
+// Order and models come from src/config/llm.json, with environment overrides:
+// LLM_PROVIDERS (e.g. "gemini,groq" or "mock"), GROQ_MODEL, GEMINI_MODEL,
+// GEMINI_API_VERSION, OPENAI_MODEL, OPENAI_BASE_URL, WORKERS_AI_MODEL.
+
+export interface CompletionRequest {
+  prompt: string;
+  maxTokens: number;
+  temperature?: number;
+  json?: boolean; // Ask for a JSON object where the API supports it
+}
+
+export interface ProviderResponse {
+  text: string;
+  truncated: boolean; // Stopped at the output token limit
+}
+
+export interface CompletionResult extends ProviderResponse {
+  provider: string;
+  model: string;
+}
+
+export interface LLMProvider {
+  readonly name: string;
+  readonly model: string;
+  complete(request: CompletionRequest): Promise<ProviderResponse>;
+}
+
+export interface ProviderLimits {
+  maxConcurrent: number;
+  requestsPerMinute: number;
+  dailyRequests?: number; // Tracked in .<provider>-quota.json; unlimited when unset
+  contextTokens: number; // Most tokens (prompt + output) to use in one request
+  maxOutputTokens: number;
+}
+
+// What a single prompt may use whichever provider ends up answering it
+export interface TokenBudget {
+  contextTokens: number;
+  maxOutputTokens: number;
+}
+
+export class LLMProviderError extends Error {
+  constructor(public provider: string, message: string, public status?: number, public retryAfter?: number) {
+    super(`${provider}: ${message}`);
+    this.name = 'LLMProviderError';
+  }
+}
+
+async function responseError(provider: string, res: Response): Promise<LLMProviderError> {
+  const hint = res.status === 404 ? ' Model not found; check the model name in src/config/llm.json or its env override.' : '';
+  const retryAfter = res.headers.get('retry-after');
+  return new LLMProviderError(provider, `API error ${res.status}.${hint}`, res.status, retryAfter ? parseInt(retryAfter, 10) : undefined);
+}
+
+// Groq, OpenAI and anything else speaking the chat completions API
+export class OpenAICompatibleProvider implements LLMProvider {
+  constructor(
+    readonly name: string,
+    readonly model: string,
+    private baseUrl: string,
+    private apiKey: string
+  ) {}
+
+  async complete(request: CompletionRequest): Promise<ProviderResponse> {
+    const res = await fetch(`${this.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: request.prompt }],
+        max_tokens: request.maxTokens,
+        temperature: request.temperature ?? 0.1,
+        ...(request.json ? { response_format: { type: 'json_object' } } : {})
+      })
+    });
+    if (!res.ok) throw await responseError(this.name, res);
+
+    const result = await res.json() as any;
+    const choice = result.choices?.[0];
+    return { text: choice?.message?.content?.trim() || '', truncated: choice?.finish_reason === 'length' };
+  }
+}
+
+export class GeminiProvider implements LLMProvider {
+  readonly name = 'gemini';
+
+  constructor(readonly model: string, private apiKey: string, private apiVersion: string = 'v1') {}
+
+  async complete(request: CompletionRequest): Promise<ProviderResponse> {
+    const url = `https://generativelanguage.googleapis.com/${this.apiVersion}/models/${this.model}:generateContent`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'x-goog-api-key': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: request.prompt }] }],
+        generationConfig: {
+          maxOutputTokens: request.maxTokens,
+          temperature: request.temperature ?? 0.1,
+          ...(request.json ? { responseMimeType: 'application/json' } : {})
+        }
+      })
+    });
+    if (!res.ok) throw await responseError(this.name, res);
+
+    const result = await res.json() as any;
+    const candidate = result.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+    return { text: parts.map((part: any) => part.text || '').join('').trim(), truncated: candidate?.finishReason === 'MAX_TOKENS' };
+  }
+}
+
+// Cloudflare Workers AI through the Worker's `AI` binding
+export class WorkersAIProvider implements LLMProvider {
+  readonly name = 'workers-ai';
+
+  constructor(readonly model: string, private binding: any) {}
+
+  async complete(request: CompletionRequest): Promise<ProviderResponse> {
+    try {
+      const result = await this.binding.run(this.model, {
+        messages: [{ role: 'user', content: request.prompt }],
+        max_tokens: request.maxTokens,
+        temperature: request.temperature ?? 0.1
+      });
+      // No finish reason is reported; batch callers also treat unparseable output as truncated
+      return { text: (result?.response || '').trim(), truncated: false };
+    } catch (error) {
+      // The binding throws plain errors; treat them as the service being unavailable
+      throw new LLMProviderError(this.name, (error as Error).message, 503);
+    }
+  }
+}
+
+// Offline provider for local runs and tests. The default response answers
+// the batch summary prompt in its JSON format, echoing each cluster's first
+// headline, so the whole pipeline can run without keys.
+export class MockProvider implements LLMProvider {
+  readonly name = 'mock';
+  readonly model = 'mock';
+  readonly requests: CompletionRequest[] = [];
+
+  constructor(private respond: (request: CompletionRequest) => string | ProviderResponse | Promise<string | ProviderResponse> = mockBatchResponse) {}
+
+  async complete(request: CompletionRequest): Promise<ProviderResponse> {
+    this.requests.push(request);
+    const response = await this.respond(request);
+    return typeof response === 'string' ? { text: response, truncated: false } : response;
+  }
+}
+
+function mockBatchResponse(request: CompletionRequest): string {
+  const blocks = request.prompt.split(/^## CLUSTER (\S+):\s*$/m).slice(1);
+  const clusters = [];
+  for (let i = 0; i < blocks.length; i += 2) {
+    const firstArticle = blocks[i + 1].split('\n').find(line => line.startsWith('[')) || '';
+    const headline = firstArticle.replace(/^\[[^\]]*\]\s*/, '').split(':')[0].trim();
+    clusters.push({ id: blocks[i], headline, summary: [headline, 'Mock summary bullet two', 'Mock summary bullet three'] });
+  }
+  return JSON.stringify({ clusters });
+}
+
+const PROVIDER_NAMES = ['groq', 'gemini', 'openai', 'workers-ai', 'mock'];
+
+// Validate a raw LLM config. All problems are collected so a bad config
+// reports everything at once.
+export function parseLLMConfig(config: any): { order: string[]; providers: Record<string, any> } {
+  if (!config || typeof config.providers !== 'object' || config.providers === null || !Array.isArray(config.order)) {
+    throw new Error('Invalid LLM config: expected an object with an "order" array and a "providers" map');
+  }
+
+  const errors: string[] = [];
+  for (const name of config.order) {
+    if (!config.providers[name]) errors.push(`"order" names "${name}", which has no entry in "providers"`);
+  }
+  for (const [name, settings] of Object.entries<any>(config.providers)) {
+    const label = `providers["${name}"]`;
+    if (!PROVIDER_NAMES.includes(name)) {
+      errors.push(`${label}: unknown provider; expected one of ${PROVIDER_NAMES.join(', ')}`);
+    }
+    if (typeof settings?.model !== 'string' || !settings.model.trim()) {
+      errors.push(`${label}: "model" must be a non-empty string`);
+    }
+    for (const key of ['max_concurrent', 'requests_per_minute', 'context_tokens', 'max_output_tokens']) {
+      if (!Number.isInteger(settings?.[key]) || settings[key] < 1) {
+        errors.push(`${label}: "${key}" must be a positive integer`);
+      }
+    }
+    if (settings?.daily_requests !== undefined && (!Number.isInteger(settings.daily_requests) || settings.daily_requests < 1)) {
+      errors.push(`${label}: "daily_requests" must be a positive integer when set`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid LLM config:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+const LLM_CONFIG = parseLLMConfig(llmConfig);
+
+interface ProviderSlot {
+  provider: LLMProvider;
+  limits: ProviderLimits;
+  queue: RateLimitedQueue;
+  quota?: QuotaTracker;
+  downUntil: number; // Skipped until this time after failing
+}
+
+// How long a provider is skipped after failing. Auth and model errors won't
+// fix themselves within a run; overload and rate limits might.
+const COOLDOWN_MS = 5 * 60 * 1000;
+const PERMANENT_STATUSES = [400, 401, 403, 404];
+
+export class LLMRouter {
+  private slots: ProviderSlot[];
+
+  constructor(providers: Array<{ provider: LLMProvider; limits: ProviderLimits }>) {
+    this.slots = providers.map(({ provider, limits }) => ({
+      provider,
+      limits,
+      queue: new RateLimitedQueue({
+        maxConcurrent: limits.maxConcurrent,
+        // One quick retry for a blip; a longer Retry-After or outage fails
+        // over to the next provider rather than waiting it out
+        maxRetries: 1,
+        maxRetryDelay: 10000,
+        baseDelay: 2000,
+        minInterval: Math.ceil(60000 / limits.requestsPerMinute)
+      }),
+      quota: limits.dailyRequests ? new QuotaTracker(limits.dailyRequests, `.${provider.name}-quota.json`) : undefined,
+      downUntil: 0
+    }));
+  }
+
+  get providers(): LLMProvider[] {
+    return this.slots.map(slot => slot.provider);
+  }
+
+  // The tightest limits across providers, since any of them may get the prompt
+  get budget(): TokenBudget {
+    return {
+      contextTokens: Math.min(...this.slots.map(slot => slot.limits.contextTokens)),
+      maxOutputTokens: Math.min(...this.slots.map(slot => slot.limits.maxOutputTokens))
+    };
+  }
+
+  // Requests left today across providers; undefined if any is unmetered
+  async remainingQuota(): Promise<number | undefined> {
+    let total = 0;
+    for (const slot of this.slots) {
+      if (!slot.quota) return undefined;
+      total += await slot.quota.getRemainingQuota();
+    }
+    return total;
+  }
+
+  async complete(request: CompletionRequest, priority: number = 0): Promise<CompletionResult> {
+    const failures: string[] = [];
+
+    for (const slot of this.slots) {
+      const { provider } = slot;
+      if (Date.now() < slot.downUntil) {
+        failures.push(`${provider.name}: unavailable`);
+        continue;
+      }
+      if (slot.quota && !(await slot.quota.canMakeRequest())) {
+        failures.push(`${provider.name}: daily quota used`);
+        continue;
+      }
+
+      try {
+        const response = await slot.queue.enqueue(() => provider.complete(request), priority);
+        await slot.quota?.incrementRequests(1);
+        return { ...response, provider: provider.name, model: provider.model };
+      } catch (error) {
+        const status = (error as LLMProviderError).status;
+        slot.downUntil = status !== undefined && PERMANENT_STATUSES.includes(status) ? Infinity : Date.now() + COOLDOWN_MS;
+        failures.push((error as Error).message);
+        console.warn(`LLM provider ${provider.name} failed, trying the next one: ${(error as Error).message}`);
+      }
+    }
+
+    throw new Error(`No LLM provider could complete the request (${failures.join('; ') || 'none configured'})`);
+  }
+}
+
+// Providers that have what they need (API key or binding), in the
+// configured order. `env` adds to process.env, e.g. a Worker's bindings.
+export function createProviders(env: Record<string, any> = {}): Array<{ provider: LLMProvider; limits: ProviderLimits }> {
+  const vars: Record<string, any> = { ...(typeof process !== 'undefined' ? process.env : {}), ...env };
+  const config = LLM_CONFIG.providers;
+  const order: string[] = vars.LLM_PROVIDERS
+    ? String(vars.LLM_PROVIDERS).split(',').map(name => name.trim()).filter(Boolean)
+    : LLM_CONFIG.order;
+
+  const providers: Array<{ provider: LLMProvider; limits: ProviderLimits }> = [];
+  for (const name of order) {
+    const settings = config[name];
+    if (!settings) {
+      console.warn(`Unknown LLM provider "${name}" in LLM_PROVIDERS; known: ${Object.keys(config).join(', ')}`);
+      continue;
+    }
+
+    let provider: LLMProvider | undefined;
+    switch (name) {
+      case 'groq':
+        if (vars.GROQ_KEY) {
+          provider = new OpenAICompatibleProvider('groq', vars.GROQ_MODEL || settings.model, 'https://api.groq.com/openai/v1', vars.GROQ_KEY);
+        }
+        break;
+      case 'gemini':
+        if (vars.GEMINI_API_KEY) {
+          provider = new GeminiProvider(vars.GEMINI_MODEL || settings.model, vars.GEMINI_API_KEY, vars.GEMINI_API_VERSION || settings.api_version);
+        }
+        break;
+      case 'openai':
+        if (vars.OPENAI_API_KEY) {
+          provider = new OpenAICompatibleProvider('openai', vars.OPENAI_MODEL || settings.model, vars.OPENAI_BASE_URL || settings.base_url, vars.OPENAI_API_KEY);
+        }
+        break;
+      case 'workers-ai':
+        if (vars.AI) {
+          provider = new WorkersAIProvider(vars.WORKERS_AI_MODEL || settings.model, vars.AI);
+        }
+        break;
+      case 'mock':
+        provider = new MockProvider();
+        break;
+    }
+
+    if (provider) {
+      providers.push({
+        provider,
+        limits: {
+          maxConcurrent: settings.max_concurrent,
+          requestsPerMinute: settings.requests_per_minute,
+          dailyRequests: settings.daily_requests,
+          contextTokens: settings.context_tokens,
+          maxOutputTokens: settings.max_output_tokens
+        }
+      });
+    }
+  }
+  return providers;
+}
+
+// One router per provider setup, so queues and cooldowns are shared by
+// every call in a run
+const routers = new Map<string, LLMRouter>();
+
+export function getLLMRouter(env: Record<string, any> = {}): LLMRouter | undefined {
+  const providers = createProviders(env);
+  if (providers.length === 0) return undefined;
+
+  const key = providers.map(({ provider }) => `${provider.name}:${provider.model}`).join(',');
+  let router = routers.get(key);
+  if (!router) {
+    router = new LLMRouter(providers);
+    routers.set(key, router);
+  }
+  return router;
+}
@@ -1,20 +1,10 @@
 import { NewsItem } from './types';
-import { groqQueue } from './request-queue';
-import { groqQuotaTracker } from './quota-tracker';
-
-const DEFAULT_GROQ_MODEL = 'llama-3.3-70b-versatile';
-const GROQ_ENDPOINT = 'https://api.groq.com/openai/v1/chat/completions';
-
-type GroqApiError = Error & { status?: number; retryAfter?: number };
-
-function createGroqApiError(status: number): GroqApiError {
-  const modelHint = status === 404
-    ? ' Model not found; update GROQ_MODEL to a supported model.'
-    : '';
-  const error = new Error(`Groq API error: ${status}.${modelHint}`) as GroqApiError;
-  error.status = status;
-  return error;
-}
+import { isWireCopy } from './publishers';
+import { Cache } from './cache';
+import { getLLMRouter, LLMRouter, TokenBudget } from './llm';
+import { validateBatchResponse } from './summary-schema';
+import { verifySummary } from './faithfulness';
+import { estimateTokens, packItemsText } from './tokens';
 
 const STOPWORDS = new Set([
   'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
@@ -47,15 +37,22 @@ export function extractShingles(text: string, k: number = 3): Set<string> {
 }
 
 export function jaccardSimilarity(set1: Set<string>, set2: Set<string>): number {
-  const intersection = new Set([...set1].filter(x => set2.has(x)));
-  const union = new Set([...set1, ...set2]);
-  
-  if (union.size === 0) return 0;
-  return intersection.size / union.size;
+  // Count the intersection from the smaller set; no intermediate sets needed
+  const [smaller, larger] = set1.size <= set2.size ? [set1, set2] : [set2, set1];
+  let intersection = 0;
+  for (const x of smaller) {
+    if (larger.has(x)) intersection++;
+  }
+
+  const union = set1.size + set2.size - intersection;
+  if (union === 0) return 0;
+  return intersection / union;
 }
 
 export function extractCanonicalUrl(html: string): string | undefined {
-  const canonicalMatch = html.match(/<link[^>]*rel=["']canonical["'][^>]*href=["']([^"']+)["']/i);
+  const canonicalMatch =
+    html.match(/<link[^>]*rel=["']canonical["'][^>]*href=["']([^"']+)["']/i) ||
+    html.match(/<link[^>]*href=["']([^"']+)["'][^>]*rel=["']canonical["']/i);
   if (canonicalMatch) return canonicalMatch[1];
   
   const ogUrlMatch = html.match(/<meta[^>]*property=["']og:url["'][^>]*content=["']([^"']+)["']/i);
@@ -77,6 +74,18 @@ export function cleanUrl(url: string): string {
   }
 }
 
+// Key under which isSameArticle's URL comparison matches: domain and path
+// of the cleaned URL, ignoring query parameters
+export function articleUrlKey(url: string): string {
+  const cleaned = cleanUrl(url);
+  try {
+    const parsed = new URL(cleaned);
+    return `${parsed.hostname}${parsed.pathname}`;
+  } catch {
+    return cleaned;
+  }
+}
+
 export function isSameArticle(item1: NewsItem, item2: NewsItem): boolean {
   // Check if canonical URLs match
   if (item1.canonical_url && item2.canonical_url) {
@@ -193,197 +202,270 @@ export function generateClusterHeadline(items: NewsItem[]): string {
   return generateNeutralHeadline(items[0].title, items[0].content);
 }
 
-// Batch process multiple clusters with Groq API in smaller chunks
-export async function generateBatchAISummaries(clusters: any[], env?: any): Promise<void> {
-  if (clusters.length === 0) return;
+// A cluster's AI headline and summary, reused while its articles stay the same
+export interface CachedSummary {
+  neutral_headline?: string;
+  ai_summary: string[]; // Verified bullets; empty when none were supported
+  summary_confidence: number;
+  cached_at: string;
+}
 
-  const groqApiKey = process.env.GROQ_KEY || env?.GROQ_KEY;
-  if (!groqApiKey) return;
+export type SummaryCache = Cache<CachedSummary>;
 
-  const groqModel = process.env.GROQ_MODEL || env?.GROQ_MODEL || DEFAULT_GROQ_MODEL;
+// Bump when the batch prompt or schema changes so old summaries are redone
+const SUMMARY_CACHE_VERSION = 2;
 
-  // Process in chunks optimized for Groq free tier (30 RPM, 14,400 RPD)
-  const CHUNK_SIZE = 15;
-  const MAX_CONCURRENT = 2; // Groq allows 30 RPM, so we can be more aggressive
+// cyrb53: 53 bits, so distinct clusters practically never share a key
+function contentHash(text: string): string {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
 
-  console.log(`Processing ${clusters.length} clusters in chunks of ${CHUNK_SIZE} with ${MAX_CONCURRENT} concurrent requests (Groq/${groqModel})`);
+// Summary cache key: the cluster's article URLs and titles, sorted so item
+// order doesn't matter and normalised so case, punctuation and stopword
+// edits to a headline don't count as a change
+export function summaryCacheKey(cluster: { items: NewsItem[] }): string {
+  const articles = cluster.items
+    .map(item => `${articleUrlKey(item.url)} ${normalizeText(item.title || '')}`)
+    .sort();
+  return `v${SUMMARY_CACHE_VERSION}:${contentHash(articles.join('\n'))}`;
+}
 
-  // Split clusters into chunks
-  let chunks: any[][] = [];
-  for (let i = 0; i < clusters.length; i += CHUNK_SIZE) {
-    chunks.push(clusters.slice(i, i + CHUNK_SIZE));
-  }
+export interface BatchSummaryOptions {
+  router?: LLMRouter; // Defaults to the providers configured in env
+  cache?: SummaryCache; // Unchanged clusters reuse their cached summary instead of being sent
+}
 
-  // Check quota before processing
-  const quotaStatus = await groqQuotaTracker.getStatus();
-  console.log(`Quota status: ${quotaStatus.used}/${quotaStatus.total} requests used today, ${quotaStatus.remaining} remaining`);
-
-  if (quotaStatus.remaining < chunks.length) {
-    console.warn(`⚠️ Daily quota insufficient: need ${chunks.length} requests, have ${quotaStatus.remaining} remaining`);
-    console.warn(`Quota resets at ${quotaStatus.resetsAt}`);
-    // Process only what we can
-    chunks = chunks.slice(0, Math.max(0, quotaStatus.remaining));
-    if (chunks.length === 0) {
-      console.log('Skipping AI processing - daily quota exhausted');
-      return;
-    }
+// Batch process multiple clusters through the configured LLM providers, packed into batches by token budget
+export async function generateBatchAISummaries(clusters: any[], env?: any, options: BatchSummaryOptions = {}): Promise<void> {
+  const { cache } = options;
+
+  // Clusters whose articles haven't changed since they were summarised
+  if (cache) {
+    const cached = await Promise.all(clusters.map(cluster => cache.get(summaryCacheKey(cluster))));
+    clusters = clusters.filter((cluster, index) => {
+      const entry = cached[index];
+      if (!entry) return true;
+      if (entry.neutral_headline) cluster.neutral_headline = entry.neutral_headline;
+      if (entry.ai_summary.length > 0) cluster.ai_summary = entry.ai_summary;
+      cluster.summary_confidence = entry.summary_confidence;
+      return false;
+    });
+    console.log(`Summary cache: ${cached.filter(Boolean).length} unchanged clusters reused, ${clusters.length} to summarise`);
   }
 
-  // Process chunks with controlled parallelism
-  const processChunk = async (chunk: any[], chunkIndex: number) => {
-    // Prepare batch input for this chunk
-    const batchInput = chunk.map((cluster, index) => {
-      const combinedContent = cluster.items.map(item => {
-        const title = item.title || '';
-        const content = item.standfirst || item.content || '';
-        const source = item.source || '';
-        return `[${source}] ${title}: ${content}`;
-      }).join('\n\n').slice(0, 2000); // Limit per cluster
-
-      return `\n## CLUSTER ${index + 1}:\n${combinedContent}`;
-    }).join('\n');
-
-    const prompt = `Process ${chunk.length} news clusters. For each cluster, generate:
-1. A neutral headline (max 12 words, no period, no contractions)
-2. A 5-bullet summary (max 26 words per bullet)
+  const router = options.router ?? getLLMRouter(env);
+  if (clusters.length === 0 || !router) return;
 
-SPECIAL CASE: For clusters containing newsGP articles, preserve the original headline exactly and generate ONLY the summary.
+  // Each cluster is sent and answered under its own ID, so replies can't
+  // be misassigned when the model skips or reorders clusters
+  const byId = new Map<string, any>();
+  clusters.forEach((cluster, index) => {
+    let id = cluster.id || `cluster_${index}`;
+    for (let suffix = 2; byId.has(id); suffix++) id = `${cluster.id}#${suffix}`; // Same story in two sections
+    byId.set(id, cluster);
+  });
+  const keepHeadline = new Set([...byId].filter(([, cluster]) => isNewsGPCluster(cluster)).map(([id]) => id));
+
+  // Batches fill the smallest context and output budget among the providers
+  const budget = router.budget;
+  let batches = packBatches([...byId].map(([id, cluster]) => [id, estimateTokens(clusterBlock(id, cluster, keepHeadline))]), budget, estimateTokens(buildBatchPrompt([], keepHeadline)));
+  const MAX_CONCURRENT = 2;
+
+  const providerNames = router.providers.map(provider => `${provider.name}/${provider.model}`).join(' → ');
+  console.log(`Processing ${clusters.length} clusters in ${batches.length} batches within ${budget.contextTokens} tokens each, ${MAX_CONCURRENT} concurrent requests (${providerNames})`);
+
+  // Check quota before processing; unmetered providers mean no limit
+  const remaining = await router.remainingQuota();
+  if (remaining !== undefined) {
+    console.log(`Quota status: ${remaining} requests remaining today across providers`);
+
+    if (remaining < batches.length) {
+      console.warn(`⚠️ Daily quota insufficient: need ${batches.length} requests, have ${remaining} remaining`);
+      // Process only what we can
+      batches = batches.slice(0, Math.max(0, remaining));
+      if (batches.length === 0) {
+        console.log('Skipping AI processing - daily quota exhausted');
+        return;
+      }
+    }
+  }
 
-Format your response as:
-CLUSTER 1:
-HEADLINE: [headline here]
-SUMMARY:
-- [bullet 1]
-- [bullet 2]
-- [bullet 3]
-- [bullet 4]
-- [bullet 5]
+  const accept = async (id: string, headline: string | undefined, summary: string[]) => {
+    const cluster = byId.get(id);
+    // Bullets naming people, figures or quotes the articles don't contain are dropped
+    const verified = verifySummary(summary, cluster.items);
+    for (const check of verified.checks.filter(check => check.unsupported.length > 0)) {
+      console.warn(`Dropped unsupported bullet for ${id} (${check.unsupported.join(', ')}): ${check.bullet}`);
+    }
 
-CLUSTER 2:
-[repeat format]
+    if (headline) cluster.neutral_headline = headline;
+    if (verified.bullets.length > 0) cluster.ai_summary = verified.bullets;
+    cluster.summary_confidence = verified.confidence;
+    await cache?.set(summaryCacheKey(cluster), {
+      neutral_headline: headline,
+      ai_summary: verified.bullets,
+      summary_confidence: verified.confidence,
+      cached_at: new Date().toISOString()
+    });
+  };
 
-Requirements:
-- Headlines: factual, no clickbait, no "Here's what..." endings (EXCEPT for newsGP - preserve exactly)
-- Summaries: specific facts only, no speculation, no generic statements
-- Use full words not contractions (government not govt)
-- For newsGP clusters: use original headline verbatim, focus on generating quality summary bullets
+  // Summarise `ids`, splitting the batch in half when the reply is cut off
+  // at the output limit and re-asking for entries that fail validation
+  const processBatch = async (ids: string[], label: string, priority: number, reasksLeft: number = MAX_REASKS, problems = new Map<string, string>()): Promise<void> => {
+    const prompt = buildBatchPrompt(ids.map(id => [id, byId.get(id)]), keepHeadline, problems);
+    const maxTokens = Math.min(budget.maxOutputTokens, ids.length * OUTPUT_TOKENS_PER_CLUSTER + OUTPUT_TOKENS_SLACK);
+    const result = await router.complete({ prompt, maxTokens, temperature: 0.1, json: true }, priority);
+
+    if ((result.truncated || looksTruncated(result.text)) && ids.length > 1) {
+      const half = Math.ceil(ids.length / 2);
+      console.warn(`${label}: response truncated at ${maxTokens} tokens, splitting ${ids.length} clusters in two (${result.provider})`);
+      const subset = (part: string[]) => new Map([...problems].filter(([id]) => part.includes(id)));
+      await processBatch(ids.slice(0, half), `${label}.1`, priority, reasksLeft, subset(ids.slice(0, half)));
+      await processBatch(ids.slice(half), `${label}.2`, priority, reasksLeft, subset(ids.slice(half)));
+      return;
+    }
 
-${batchInput}`;
+    const validation = validateBatchResponse(result.text, ids, keepHeadline);
+    for (const [id, { headline, summary }] of validation.summaries) {
+      await accept(id, headline, summary);
+    }
+    console.log(`${label}: ${validation.summaries.size} summaries accepted, ${validation.problems.size} failed validation (${result.provider})`);
 
-    try {
-      const response = await groqQueue.enqueue(async () => {
-        const res = await fetch(GROQ_ENDPOINT, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${groqApiKey}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: groqModel,
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 3000,
-            temperature: 0.1
-          })
-        });
-
-        if (!res.ok) {
-          const error = createGroqApiError(res.status);
-          error.retryAfter = res.headers.get('retry-after') ?
-            parseInt(res.headers.get('retry-after')!) : undefined;
-          throw error;
-        }
-
-        return res;
-      }, 10 - (chunkIndex % 3)); // Vary priority slightly to avoid thundering herd
-
-      const result = await response.json() as any;
-      const batchResponse = result.choices?.[0]?.message?.content?.trim() || '';
-
-      // Parse the batch response and assign to this chunk
-      parseBatchResponse(batchResponse, chunk);
-
-      // Track successful request
-      await groqQuotaTracker.incrementRequests(1);
-
-      console.log(`Chunk ${chunkIndex + 1}/${chunks.length} processed successfully`);
-
-    } catch (error) {
-      console.error(`Chunk ${chunkIndex + 1}/${chunks.length} AI processing failed:`, error);
-      // This chunk will keep original titles and no AI summaries
+    const pending = ids.filter(id => validation.problems.has(id));
+    if (pending.length === 0) return;
+    if (reasksLeft > 0) {
+      await processBatch(pending, `${label} re-ask`, priority, reasksLeft - 1, validation.problems);
+      return;
+    }
+    for (const id of pending) {
+      console.warn(`Rejected AI summary for ${id}: ${validation.problems.get(id)}`);
     }
   };
 
-  // Process chunks in batches with controlled concurrency
-  for (let i = 0; i < chunks.length; i += MAX_CONCURRENT) {
-    const batch = chunks.slice(i, i + MAX_CONCURRENT);
-    const promises = batch.map((chunk, index) => processChunk(chunk, i + index));
+  // Process batches in groups with controlled concurrency
+  for (let i = 0; i < batches.length; i += MAX_CONCURRENT) {
+    const group = batches.slice(i, i + MAX_CONCURRENT);
+    const promises = group.map(async (ids, index) => {
+      const batchIndex = i + index;
+      const label = `Batch ${batchIndex + 1}/${batches.length}`;
+      try {
+        await processBatch(ids, label, 10 - (batchIndex % 3)); // Vary priority slightly to avoid thundering herd
+      } catch (error) {
+        console.error(`${label} AI processing failed:`, error);
+        // Unfinished clusters keep their original titles and no AI summaries
+      }
+    });
 
-    // Wait for this batch to complete before starting the next
+    // Wait for this group to complete before starting the next
     await Promise.allSettled(promises);
 
-    // Small delay between batches to avoid bursting
-    if (i + MAX_CONCURRENT < chunks.length) {
-      await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay (Groq is faster)
+    // Small delay between groups to avoid bursting
+    if (i + MAX_CONCURRENT < batches.length) {
+      await new Promise(resolve => setTimeout(resolve, 500));
     }
   }
 
-  console.log('All chunks processed');
+  console.log('All batches processed');
 }
 
-function parseBatchResponse(response: string, clusters: any[]): void {
-  const clusterBlocks = response.split(/CLUSTER \d+:/i).slice(1);
-  
-  for (let i = 0; i < Math.min(clusterBlocks.length, clusters.length); i++) {
-    const block = clusterBlocks[i];
-    const cluster = clusters[i];
-    
-    // Check if this cluster contains newsGP articles
-    const isNewsGPCluster = cluster.items?.some((item: any) => item.source === 'newsGP');
-    
-    // Extract headline (skip for newsGP clusters)
-    const headlineMatch = block.match(/HEADLINE:\s*(.+?)(?:\n|SUMMARY:|$)/i);
-    if (headlineMatch && !isNewsGPCluster) {
-      let headline = headlineMatch[1].trim();
-      // Clean up the headline
-      headline = headline
-        .replace(/^["']|["']$/g, '') // Remove quotes
-        .replace(/\.+$/, '') // Remove trailing periods
-        .trim();
-      if (headline) {
-        clusters[i].neutral_headline = headline;
-      }
-    }
-    
-    // Extract summary bullets
-    const summaryMatch = block.match(/SUMMARY:\s*((?:\s*-.*(?:\n|$))+)/i);
-    if (summaryMatch) {
-      const bullets = summaryMatch[1]
-        .split(/\n/)
-        .map(line => line.trim())
-        .filter(line => line.startsWith('-'))
-        .map(line => line.replace(/^-\s*/, '').trim())
-        .filter(line => line.length > 0)
-        .slice(0, 5); // Max 5 bullets
-      
-      if (bullets.length >= 3) { // Only use if we got at least 3 good bullets
-        // Store as array for frontend compatibility
-        clusters[i].ai_summary = bullets;
-      }
+// Output allowance per cluster: a headline and five 26-word bullets as JSON
+// come to about 220 tokens
+const OUTPUT_TOKENS_PER_CLUSTER = 300;
+const OUTPUT_TOKENS_SLACK = 200;
+// Article text per cluster, shared between its items
+const CLUSTER_INPUT_TOKENS = 500;
+// Room for a re-ask's problem line per cluster
+const REASK_TOKENS_PER_CLUSTER = 30;
+
+// Group clusters ([id, prompt tokens]) in order into batches whose prompt
+// and expected output fit the budget
+function packBatches(clusters: Array<[string, number]>, budget: TokenBudget, overheadTokens: number): string[][] {
+  const batches: string[][] = [];
+  let current: string[] = [];
+  let inputTokens = overheadTokens;
+
+  for (const [id, tokens] of clusters) {
+    const cost = tokens + REASK_TOKENS_PER_CLUSTER;
+    const outputTokens = (current.length + 1) * OUTPUT_TOKENS_PER_CLUSTER + OUTPUT_TOKENS_SLACK;
+    const fits = inputTokens + cost + outputTokens <= budget.contextTokens && outputTokens <= budget.maxOutputTokens;
+    if (!fits && current.length > 0) {
+      batches.push(current);
+      current = [];
+      inputTokens = overheadTokens;
     }
+    current.push(id);
+    inputTokens += cost;
   }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+// JSON that starts but never closes: cut off even if the provider didn't say so
+function looksTruncated(text: string): boolean {
+  const trimmed = text.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+  return /^[[{]/.test(trimmed) && !/[}\]]$/.test(trimmed);
+}
+
+// Re-ask once for clusters whose entry was missing or failed validation
+const MAX_REASKS = 1;
+
+function isNewsGPCluster(cluster: any): boolean {
+  return cluster.items?.some((item: any) => item.source === 'newsGP');
+}
+
+// A cluster's section of the batch prompt
+function clusterBlock(id: string, cluster: any, keepHeadline: Set<string>): string {
+  const note = keepHeadline.has(id) ? '(newsGP: keep the original headline, set "headline" to null)\n' : '';
+  return `\n## CLUSTER ${id}:\n${note}${packItemsText(cluster.items, CLUSTER_INPUT_TOKENS)}`;
 }
 
-// AI-powered summary generation using Groq API
+// Batch prompt for `entries` ([id, cluster]). On a re-ask, `problems` holds
+// what was wrong with each cluster's previous answer.
+function buildBatchPrompt(entries: Array<[string, any]>, keepHeadline: Set<string>, problems: Map<string, string> = new Map()): string {
+  const batchInput = entries.map(([id, cluster]) => clusterBlock(id, cluster, keepHeadline)).join('\n');
+
+  const retry = problems.size > 0
+    ? `Your previous response had problems with these clusters:
+${[...problems].map(([id, problem]) => `- ${id}: ${problem}`).join('\n')}
+Answer again for these clusters only.
+
+`
+    : '';
+
+  return `${retry}Process ${entries.length} news clusters. Each cluster below starts with "## CLUSTER <id>:". For each cluster, generate:
+1. A neutral headline (max 12 words, no period, no contractions)
+2. A 5-bullet summary (max 26 words per bullet)
+
+SPECIAL CASE: For clusters marked newsGP, keep the original headline: set "headline" to null and generate ONLY the summary.
+
+Respond with JSON only, in exactly this shape:
+{"clusters": [{"id": "<cluster id>", "headline": "<headline>", "summary": ["<bullet 1>", "<bullet 2>", "<bullet 3>", "<bullet 4>", "<bullet 5>"]}]}
+
+Include every cluster exactly once, using its id exactly as given. Summarise each cluster only from its own articles.
+
+Requirements:
+- Headlines: factual, no clickbait, no "Here's what..." endings
+- Summaries: specific facts only, no speculation, no generic statements
+- Use full words not contractions (government not govt)
+
+${batchInput}`;
+}
+
+// AI-powered summary generation through the configured LLM providers
 export async function generateAISummary(items: NewsItem[], env?: any): Promise<string> {
   if (items.length === 0) return '';
 
-  // Combine content from all articles in the cluster
-  const combinedContent = items.map(item => {
-    const title = item.title || '';
-    const content = item.standfirst || item.content || '';
-    const source = item.source || '';
-    return `[${source}] ${title}: ${content}`;
-  }).join('\n\n').slice(0, 3000);
+  // Combine content from all articles in the cluster, shared fairly between them
+  const combinedContent = packItemsText(items, 750);
 
   const prompt = `For the article(s) provided, summarize the news story into a 5-bullet point overview. Summarize only what is supported by the supplied articles. Be concise, neutral, and specific. Avoid clickbait, vagueness, adjectives, and opinion.
 
@@ -403,37 +485,11 @@ ${combinedContent}
 Output exactly 5 bullets:`;
 
   try {
-    const groqApiKey = process.env.GROQ_KEY || env?.GROQ_KEY;
-    const groqModel = process.env.GROQ_MODEL || env?.GROQ_MODEL || DEFAULT_GROQ_MODEL;
-
-    if (groqApiKey) {
-      const response = await groqQueue.enqueue(async () => {
-        const res = await fetch(GROQ_ENDPOINT, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${groqApiKey}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: groqModel,
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 300,
-            temperature: 0.1
-          })
-        });
-
-        if (!res.ok) {
-          const error = createGroqApiError(res.status);
-          error.retryAfter = res.headers.get('retry-after') ?
-            parseInt(res.headers.get('retry-after')!) : undefined;
-          throw error;
-        }
-
-        return res;
-      }, 5); // Medium priority for individual summaries
-
-      const result = await response.json() as any;
-      const summary = result.choices?.[0]?.message?.content?.trim() || '';
+    const router = getLLMRouter(env);
+
+    if (router) {
+      const result = await router.complete({ prompt, maxTokens: 300, temperature: 0.1 }, 5); // Medium priority for individual summaries
+      const summary = result.text;
 
       // Post-process to extract and clean bullets
       const cleanSummary = cleanAIBullets(summary);
@@ -508,7 +564,7 @@ function generateSimpleSummary(items: NewsItem[]): string {
   return sentences.join('. ').trim() + (sentences.length > 0 ? '.' : '');
 }
 
-// AI-powered headline generation using Groq API
+// AI-powered headline generation through the configured LLM providers
 export async function generateAIHeadline(items: NewsItem[], env?: any): Promise<string> {
   if (items.length === 0) return '';
 
@@ -534,37 +590,11 @@ Context: ${content}
 Headline:`;
 
   try {
-    const groqApiKey = process.env.GROQ_KEY || env?.GROQ_KEY;
-    const groqModel = process.env.GROQ_MODEL || env?.GROQ_MODEL || DEFAULT_GROQ_MODEL;
-
-    if (groqApiKey) {
-      const response = await groqQueue.enqueue(async () => {
-        const res = await fetch(GROQ_ENDPOINT, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${groqApiKey}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: groqModel,
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 50,
-            temperature: 0.1
-          })
-        });
-
-        if (!res.ok) {
-          const error = createGroqApiError(res.status);
-          error.retryAfter = res.headers.get('retry-after') ?
-            parseInt(res.headers.get('retry-after')!) : undefined;
-          throw error;
-        }
-
-        return res;
-      }, 5); // Medium priority for headlines
-
-      const result = await response.json() as any;
-      const headline = result.choices?.[0]?.message?.content?.trim() || '';
+    const router = getLLMRouter(env);
+
+    if (router) {
+      const result = await router.complete({ prompt, maxTokens: 50, temperature: 0.1 }, 5); // Medium priority for headlines
+      const headline = result.text;
 
       // Clean up any quotes, bullet points, multiple options, or extra formatting
       let cleanHeadline = headline
@@ -629,8 +659,8 @@ export function selectBestHeadline(items: NewsItem[]): string {
     const punctuationCount = (title.match(/[!?:;]/g) || []).length;
     if (punctuationCount <= 1) score += 2;
 
-    // Prefer headlines from certain sources (more neutral/authoritative)
-    if (['Guardian World', 'BBC World', 'Al Jazeera'].includes(item.source)) score += 1;
+    // Prefer a publisher's own reporting over wire copy it republished
+    if (!isWireCopy(item)) score += 1;
 
     // Avoid headlines with too many quotes or parentheses
     const quotesCount = (title.match(/['"]/g) || []).length;
@@ -0,0 +1,328 @@
+import { NewsCluster, ScoreComponent, SectionOrderings } from './types';
+import { getTrustedSources, getPublisher } from './feeds';
+import scoringRules from './config/scoring.json';
+
+// Popularity scoring for section ordering, driven by src/config/scoring.json.
+// Coverage dominates: every extra publisher is worth far more than any other
+// signal, so a multi-source story always outranks a single-source one. The
+// other signals (feed position, source authority, keyword rules, title
+// length) order single-source stories among themselves, and recency breaks
+// ties. Every score comes with a breakdown of the points behind it.
+//
+// Trending is a separate ordering: publishers gained per hour over the
+// recent window, from the coverage history story tracking keeps, halved for
+// every half-life since the story was first seen.
+
+const COMPONENTS = ['coverage', 'feed_position', 'source_authority', 'rules', 'title_length', 'recency'] as const;
+type Component = typeof COMPONENTS[number];
+
+const RULE_FIELDS = ['title', 'standfirst'];
+const CURVES = ['linear', 'exponential'];
+
+export interface ScoringRule {
+  name: string;
+  points: number;
+  pattern: RegExp;              // Compiled from the rule's keywords and/or pattern
+  sections?: string[];          // Only in these sections (default: all)
+  excludeSections?: string[];   // Never in these sections
+  fields: string[];             // Item fields matched against (default: title)
+}
+
+export interface ScoringConfig {
+  coverage: { singleSourcePoints: number; pointsPerPublisher: number };
+  contentSignals: 'single_source' | 'all'; // Which clusters feed position, authority, rules and length apply to
+  feedPosition: { topPositions: number; firstPoints: number; step: number };
+  sourceAuthority: { trusted: number; publishers: Record<string, number> };
+  titleLength: { min: number; max: number; points: number };
+  recency: { curve: 'linear' | 'exponential'; points: number; hours: number }; // hours: window (linear) or half-life (exponential)
+  trending: { windowHours: number; minHours: number; halfLifeHours: number };
+  sectionWeights: Record<string, Partial<Record<Component, number>>>;
+  rules: ScoringRule[];
+}
+
+export interface PopularityScore {
+  score: number;
+  breakdown: ScoreComponent[];
+}
+
+export interface ScoreOptions {
+  config?: ScoringConfig;
+  now?: number;               // Reference time for recency (default: Date.now())
+  trustedSources?: string[];  // Default: getTrustedSources(section)
+}
+
+// Keywords match as whole words or phrases, case-insensitively, so "ai"
+// doesn't match "said" or "main"
+function compileRule(keywords: string[] = [], pattern?: string): RegExp {
+  const alternatives = keywords.map(keyword =>
+    `(?<![\\p{L}\\p{N}])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`
+  );
+  if (pattern) alternatives.push(`(?:${pattern})`);
+  return new RegExp(alternatives.join('|'), 'iu');
+}
+
+const isNumber = (value: any) => typeof value === 'number' && Number.isFinite(value);
+
+// Validate a raw scoring config and return it with rules compiled. All
+// problems are collected so a bad config reports everything at once.
+export function parseScoringConfig(raw: any): ScoringConfig {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Invalid scoring config: expected an object');
+  }
+
+  const errors: string[] = [];
+  const requireNumbers = (key: string, fields: string[]) => {
+    for (const field of fields) {
+      if (!isNumber(raw[key]?.[field])) errors.push(`${key}.${field} must be a number`);
+    }
+  };
+
+  requireNumbers('coverage', ['single_source_points', 'points_per_publisher']);
+  requireNumbers('feed_position', ['top_positions', 'first_points', 'step']);
+  requireNumbers('source_authority', ['trusted']);
+  requireNumbers('title_length', ['min', 'max', 'points']);
+  requireNumbers('recency', ['points', 'hours']);
+  requireNumbers('trending', ['window_hours', 'min_hours', 'half_life_hours']);
+
+  if (raw.content_signals !== 'single_source' && raw.content_signals !== 'all') {
+    errors.push('content_signals must be "single_source" or "all"');
+  }
+  if (!CURVES.includes(raw.recency?.curve)) {
+    errors.push(`recency.curve must be one of ${CURVES.join(', ')}`);
+  }
+  if (isNumber(raw.recency?.hours) && !(raw.recency.hours > 0)) {
+    errors.push('recency.hours must be positive');
+  }
+  for (const field of ['window_hours', 'min_hours', 'half_life_hours']) {
+    if (isNumber(raw.trending?.[field]) && !(raw.trending[field] > 0)) {
+      errors.push(`trending.${field} must be positive`);
+    }
+  }
+
+  const publishers = raw.source_authority?.publishers ?? {};
+  for (const [publisher, points] of Object.entries(publishers)) {
+    if (!isNumber(points)) errors.push(`source_authority.publishers["${publisher}"] must be a number`);
+  }
+
+  const sectionWeights = raw.section_weights ?? {};
+  for (const [section, weights] of Object.entries<any>(sectionWeights)) {
+    for (const [component, weight] of Object.entries(weights || {})) {
+      if (!(COMPONENTS as readonly string[]).includes(component)) {
+        errors.push(`section_weights.${section}: unknown component "${component}"`);
+      } else if (!isNumber(weight)) {
+        errors.push(`section_weights.${section}.${component} must be a number`);
+      }
+    }
+  }
+
+  if (!Array.isArray(raw.rules)) {
+    errors.push('rules must be an array');
+  }
+  const seenNames = new Set<string>();
+  const rules: ScoringRule[] = (Array.isArray(raw.rules) ? raw.rules : []).map((rule: any, index: number) => {
+    const label = `rules[${index}]${typeof rule?.name === 'string' ? ` (${rule.name})` : ''}`;
+
+    if (typeof rule?.name !== 'string' || !rule.name.trim()) {
+      errors.push(`${label}: "name" must be a non-empty string`);
+    } else if (seenNames.has(rule.name)) {
+      errors.push(`${label}: duplicate rule name "${rule.name}"`);
+    } else {
+      seenNames.add(rule.name);
+    }
+
+    if (!isNumber(rule?.points)) {
+      errors.push(`${label}: "points" must be a number`);
+    }
+
+    const keywords = rule?.keywords;
+    if (keywords !== undefined && (!Array.isArray(keywords) || keywords.some((keyword: any) => typeof keyword !== 'string' || !keyword.trim()))) {
+      errors.push(`${label}: "keywords" must be an array of non-empty strings`);
+    }
+    if (rule?.pattern !== undefined && typeof rule.pattern !== 'string') {
+      errors.push(`${label}: "pattern" must be a string`);
+    }
+    if (!keywords?.length && !rule?.pattern) {
+      errors.push(`${label}: needs "keywords" or "pattern"`);
+    }
+
+    for (const key of ['sections', 'exclude_sections']) {
+      if (rule?.[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some((section: any) => typeof section !== 'string'))) {
+        errors.push(`${label}: "${key}" must be an array of strings`);
+      }
+    }
+    const fields = rule?.fields ?? ['title'];
+    if (!Array.isArray(fields) || fields.length === 0 || fields.some((field: any) => !RULE_FIELDS.includes(field))) {
+      errors.push(`${label}: "fields" must be a non-empty array of ${RULE_FIELDS.join(', ')}`);
+    }
+
+    let pattern: RegExp | undefined;
+    try {
+      pattern = compileRule(Array.isArray(keywords) ? keywords : [], typeof rule?.pattern === 'string' ? rule.pattern : undefined);
+    } catch (error) {
+      errors.push(`${label}: invalid pattern (${(error as Error).message})`);
+    }
+
+    return {
+      name: rule?.name,
+      points: rule?.points,
+      pattern,
+      sections: rule?.sections,
+      excludeSections: rule?.exclude_sections,
+      fields
+    } as ScoringRule;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring config:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    coverage: {
+      singleSourcePoints: raw.coverage.single_source_points,
+      pointsPerPublisher: raw.coverage.points_per_publisher
+    },
+    contentSignals: raw.content_signals,
+    feedPosition: {
+      topPositions: raw.feed_position.top_positions,
+      firstPoints: raw.feed_position.first_points,
+      step: raw.feed_position.step
+    },
+    sourceAuthority: { trusted: raw.source_authority.trusted, publishers },
+    titleLength: raw.title_length,
+    recency: raw.recency,
+    trending: {
+      windowHours: raw.trending.window_hours,
+      minHours: raw.trending.min_hours,
+      halfLifeHours: raw.trending.half_life_hours
+    },
+    sectionWeights,
+    rules
+  };
+}
+
+export const SCORING_CONFIG: ScoringConfig = parseScoringConfig(scoringRules);
+
+function recencyFactor(hoursOld: number, recency: ScoringConfig['recency']): number {
+  const age = Math.max(0, hoursOld);
+  if (recency.curve === 'exponential') {
+    return Math.pow(0.5, age / recency.hours);
+  }
+  return Math.max(0, 1 - age / recency.hours);
+}
+
+function ruleApplies(rule: ScoringRule, section: string): boolean {
+  if (rule.sections && !rule.sections.includes(section)) return false;
+  if (rule.excludeSections?.includes(section)) return false;
+  return true;
+}
+
+export function scoreCluster(cluster: NewsCluster, section: string, options: ScoreOptions = {}): PopularityScore {
+  const config = options.config ?? SCORING_CONFIG;
+  const now = options.now ?? Date.now();
+  const weights = config.sectionWeights[section] || {};
+  const breakdown: ScoreComponent[] = [];
+
+  const add = (component: Component, factor: string, points: number) => {
+    const weighted = points * (weights[component] ?? 1);
+    if (weighted !== 0) {
+      breakdown.push({ factor, points: Math.round(weighted * 100) / 100 });
+    }
+  };
+
+  if (cluster.coverage >= 2) {
+    add('coverage', `coverage: ${cluster.coverage} publishers`, cluster.coverage * config.coverage.pointsPerPublisher);
+  } else {
+    add('coverage', 'coverage: single source', config.coverage.singleSourcePoints);
+  }
+
+  // Content signals describe one item, so by default they only order
+  // single-source stories; multi-source stories are scored on the lead item
+  if (cluster.coverage === 1 || config.contentSignals === 'all') {
+    const item = cluster.items[0];
+
+    // Scraped "popular" pages list their most-read articles first
+    const { topPositions, firstPoints, step } = config.feedPosition;
+    if (item.feed_position !== undefined && item.feed_position < topPositions) {
+      add('feed_position', `feed position ${item.feed_position + 1}`, firstPoints - item.feed_position * step);
+    }
+
+    const trustedSources = options.trustedSources ?? getTrustedSources(section);
+    if (trustedSources.includes(item.source)) {
+      add('source_authority', 'trusted source', config.sourceAuthority.trusted);
+    }
+    const publisher = getPublisher(item);
+    const publisherPoints = config.sourceAuthority.publishers[publisher];
+    if (publisherPoints) {
+      add('source_authority', `publisher: ${publisher}`, publisherPoints);
+    }
+
+    const fieldText: Record<string, string> = { title: item.title, standfirst: item.standfirst || '' };
+    for (const rule of config.rules) {
+      if (!ruleApplies(rule, section)) continue;
+      if (rule.fields.some(field => rule.pattern.test(fieldText[field]))) {
+        add('rules', `rule: ${rule.name}`, rule.points);
+      }
+    }
+
+    const { min, max, points } = config.titleLength;
+    if (item.title.length > min && item.title.length < max) {
+      add('title_length', 'title length', points);
+    }
+  }
+
+  const hoursOld = (now - new Date(cluster.updated_at).getTime()) / (1000 * 60 * 60);
+  if (Number.isFinite(hoursOld)) {
+    add('recency', 'recency', config.recency.points * recencyFactor(hoursOld, config.recency));
+  }
+
+  return {
+    score: Math.round(breakdown.reduce((sum, component) => sum + component.points, 0) * 100) / 100,
+    breakdown
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Publishers gained per hour over the trending window, decayed by the
+// story's age. A story first seen inside the window counts all of its
+// coverage as gained, over the time it has existed (at least min_hours).
+export function trendingScore(cluster: NewsCluster, options: { config?: ScoringConfig; now?: number } = {}): number {
+  const { windowHours, minHours, halfLifeHours } = (options.config ?? SCORING_CONFIG).trending;
+  const now = options.now ?? Date.now();
+
+  const firstSeen = new Date(cluster.first_seen || cluster.updated_at).getTime();
+  if (!Number.isFinite(firstSeen)) return 0;
+  const ageHours = Math.max(0, (now - firstSeen) / HOUR_MS);
+  const windowStart = now - windowHours * HOUR_MS;
+
+  // Coverage as of the window start: the last snapshot taken by then
+  let baseline = 0;
+  for (const snapshot of cluster.coverage_history || []) {
+    if (new Date(snapshot.at).getTime() <= windowStart) baseline = snapshot.coverage;
+  }
+
+  const gained = Math.max(0, cluster.coverage - baseline);
+  const spanHours = Math.max(minHours, Math.min(windowHours, ageHours));
+  const score = (gained / spanHours) * Math.pow(0.5, ageHours / halfLifeHours);
+  return Math.round(score * 1000) / 1000;
+}
+
+// Alternative orderings of a section's clusters, as cluster IDs. Sets
+// `trending_score` on each cluster. Run after story tracking, which assigns
+// the IDs and history these rely on.
+export function sectionOrderings(clusters: NewsCluster[], options: { config?: ScoringConfig; now?: number } = {}): SectionOrderings {
+  for (const cluster of clusters) {
+    cluster.trending_score = trendingScore(cluster, options);
+  }
+
+  const newest = (a: NewsCluster, b: NewsCluster) =>
+    new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime();
+  const ids = (compare: (a: NewsCluster, b: NewsCluster) => number) =>
+    [...clusters].sort(compare).map(cluster => cluster.id);
+
+  return {
+    latest: ids(newest),
+    trending: ids((a, b) => (b.trending_score! - a.trending_score!) || (b.coverage - a.coverage) || newest(a, b)),
+    most_covered: ids((a, b) => (b.coverage - a.coverage) || ((b.popularity_score || 0) - (a.popularity_score || 0)) || newest(a, b))
+  };
+}
@@ -0,0 +1,135 @@
+import { NewsItem, PublisherInfo } from './types';
+import { getPublisher } from './feeds';
+import publisherRegistry from './config/publishers.json';
+
+// Publisher metadata (country, ownership group, political lean and whether
+// the outlet reports originally, redistributes wire copy or aggregates) from
+// src/config/publishers.json, keyed by the publisher name items count
+// towards for coverage. Used to order a cluster's items so the first few show
+// the breadth of coverage, and to summarise that breadth as `source_mix`.
+
+const LEANS = ['left', 'centre-left', 'centre', 'centre-right', 'right'];
+const REPORTING = ['original', 'wire', 'aggregator'];
+
+// Validate a raw publisher registry. All problems are collected so a bad
+// config reports everything at once.
+export function parsePublisherRegistry(registry: any): { publishers: Record<string, PublisherInfo>; wireAgencies: string[] } {
+  if (!registry || typeof registry.publishers !== 'object' || registry.publishers === null) {
+    throw new Error('Invalid publisher registry: expected an object with a "publishers" map');
+  }
+
+  const errors: string[] = [];
+  for (const [name, info] of Object.entries<any>(registry.publishers)) {
+    const label = `publishers["${name}"]`;
+    if (typeof info?.country !== 'string' || !/^[A-Z]{2}$/.test(info.country)) {
+      errors.push(`${label}: "country" must be a two-letter country code`);
+    }
+    if (typeof info?.ownership !== 'string' || !info.ownership.trim()) {
+      errors.push(`${label}: "ownership" must be a non-empty string`);
+    }
+    if (info?.lean !== undefined && !LEANS.includes(info.lean)) {
+      errors.push(`${label}: "lean" must be one of ${LEANS.join(', ')}`);
+    }
+    if (!REPORTING.includes(info?.reporting)) {
+      errors.push(`${label}: "reporting" must be one of ${REPORTING.join(', ')}`);
+    }
+  }
+
+  const wireAgencies = registry.wire_agencies ?? [];
+  if (!Array.isArray(wireAgencies) || wireAgencies.some((agency: any) => typeof agency !== 'string' || !agency.trim())) {
+    errors.push('"wire_agencies" must be an array of non-empty strings');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid publisher registry:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { publishers: registry.publishers, wireAgencies };
+}
+
+const REGISTRY = parsePublisherRegistry(publisherRegistry);
+
+// "(AAP)", "- Reuters" at the end, "Source: AFP", "via AP"
+const AGENCIES = [...REGISTRY.wireAgencies]
+  .sort((a, b) => b.length - a.length)
+  .map(agency => agency.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  .join('|');
+const WIRE_CREDIT = new RegExp(`\\((?:${AGENCIES})\\)|(?:^|\\s)[-–—]\\s*(?:${AGENCIES})\\s*$|\\b(?:Source|via):?\\s+(?:${AGENCIES})\\b`);
+
+export function getPublisherInfo(item: NewsItem): PublisherInfo | undefined {
+  return REGISTRY.publishers[getPublisher(item)];
+}
+
+// Wire copy: from a wire service, or credited to one in the standfirst or
+// body rather than reported by the publisher itself
+export function isWireCopy(item: NewsItem): boolean {
+  if (getPublisherInfo(item)?.reporting === 'wire') return true;
+  return WIRE_CREDIT.test(item.standfirst || '') || WIRE_CREDIT.test((item.content || '').slice(-300));
+}
+
+// Reorder items (given newest first) so each next item adds as much variety
+// as possible: a publisher already shown costs most, then a shared owner,
+// country or lean; wire copy goes after original reporting. Ties keep the
+// given order, so the first item is the newest piece of original reporting.
+export function orderForDiversity(items: NewsItem[]): NewsItem[] {
+  const remaining = items.map(item => ({ item, info: getPublisherInfo(item), wire: isWireCopy(item) }));
+  const seen = new Map<string, number>();
+  const count = (key: string | undefined) => (key ? seen.get(key) || 0 : 0);
+  const ordered: NewsItem[] = [];
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestPenalty = Infinity;
+    remaining.forEach(({ item, info, wire }, index) => {
+      const publisher = getPublisher(item);
+      const penalty =
+        4 * count(`publisher:${publisher}`) +
+        2 * count(`owner:${info?.ownership ?? publisher}`) +
+        count(info && `country:${info.country}`) +
+        count(info?.lean && `lean:${info.lean}`) +
+        (wire ? 0.5 : 0);
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        bestIndex = index;
+      }
+    });
+
+    const [{ item, info }] = remaining.splice(bestIndex, 1);
+    const publisher = getPublisher(item);
+    const keys = [`publisher:${publisher}`, `owner:${info?.ownership ?? publisher}`, info && `country:${info.country}`, info?.lean && `lean:${info.lean}`];
+    for (const key of keys) {
+      if (key) seen.set(key, (seen.get(key) || 0) + 1);
+    }
+    ordered.push(item);
+  }
+
+  return ordered;
+}
+
+// Publishers per country, then wire and aggregator counts:
+// "3 AU, 2 UK, 1 US; 1 wire"
+export function summariseSourceMix(items: NewsItem[]): string {
+  const byPublisher = new Map<string, NewsItem[]>();
+  for (const item of items) {
+    const publisher = getPublisher(item);
+    byPublisher.set(publisher, [...(byPublisher.get(publisher) || []), item]);
+  }
+
+  const countries = new Map<string, number>();
+  let wire = 0;
+  let aggregators = 0;
+  for (const publisherItems of byPublisher.values()) {
+    const info = getPublisherInfo(publisherItems[0]);
+    const country = info?.country ?? 'other';
+    countries.set(country, (countries.get(country) || 0) + 1);
+    if (publisherItems.some(isWireCopy)) wire++;
+    else if (info?.reporting === 'aggregator') aggregators++;
+  }
+
+  const countryPart = [...countries.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] === 'other' ? 1 : b[0] === 'other' ? -1 : a[0].localeCompare(b[0])))
+    .map(([country, count]) => `${count} ${country}`)
+    .join(', ');
+  const extras = [wire > 0 && `${wire} wire`, aggregators > 0 && `${aggregators} aggregator`].filter(Boolean);
+  return extras.length > 0 ? `${countryPart}; ${extras.join(', ')}` : countryPart;
+}
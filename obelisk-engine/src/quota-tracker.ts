@@ -124,6 +124,3 @@ export class QuotaTracker {
     return pacific.toISOString();
   }
 }
-
-// Singleton instance for Groq free tier (14,400 RPD)
-export const groqQuotaTracker = new QuotaTracker(14400, '.groq-quota.json');
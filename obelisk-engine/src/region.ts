@@ -0,0 +1,159 @@
+import { NewsItem, FeedSource } from './types';
+import gazetteer from './config/gazetteer.json';
+
+// Region classification for the Australia/global split. Each signal adds
+// log-odds evidence that an item is an Australian story; the total is
+// squashed to a 0-1 score and compared against a per-section threshold.
+
+export interface RegionOptions {
+  threshold?: number;     // Score at or above which an item counts as Australian (default: 0.6)
+  reviewMargin?: number;  // Items within this distance of the threshold are logged (default: 0.1)
+}
+
+export const REGION_CONFIGS: Record<string, RegionOptions> = {
+  australia: { threshold: 0.6, reviewMargin: 0.1 },
+  global: { threshold: 0.6, reviewMargin: 0.1 }
+};
+
+export interface RegionClassification {
+  score: number;
+  signals: string[]; // Human-readable evidence, for borderline review logs
+}
+
+const WEIGHTS = {
+  base: -1.5,             // Assume not Australian without evidence
+  sourceHint: 1.5,        // Feed registry region_hints includes 'au'
+  auDomain: 1.0,          // Article hosted on a .au domain
+  auPathSegment: 1.5,     // e.g. /australia-news/
+  foreignPathSegment: -2.0, // e.g. /world/, /us-news/
+  titlePlace: 1.2,        // Australian place or institution in the title
+  bodyPlace: 0.5,         // ... in the standfirst
+  titleNational: 1.0,     // "Australia", "Aussie" in the title
+  bodyNational: 0.3,      // ... in the standfirst
+  titleForeign: -1.0,     // Foreign place or leader in the title
+  bodyForeign: -0.3       // ... in the standfirst
+};
+
+// Repeated mentions add diminishing evidence; cap matches counted per signal
+const MAX_MATCHES_PER_SIGNAL = 2;
+
+const AU_PATH_SEGMENTS = new Set(['australia', 'australia-news', 'au', 'nsw', 'vic', 'qld', 'tas', 'act', 'nt', 'sa', 'wa']);
+const FOREIGN_PATH_SEGMENTS = new Set(['world', 'world-news', 'international', 'global', 'us-news', 'uk-news', 'europe', 'asia', 'americas', 'africa', 'middle-east']);
+
+// Acronyms (all caps) match case-sensitively so "ACT" doesn't match "act".
+// Names and institutions are case-sensitive too, so "Labor" doesn't match
+// "labor unions".
+function compileTerms(terms: string[], caseSensitive: boolean = false): RegExp[] {
+  return terms.map(term => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const isAcronym = /^[A-Z.\-]+$/.test(term);
+    return new RegExp(`(?<![\\w])${escaped}(?![\\w])`, isAcronym || caseSensitive ? '' : 'i');
+  });
+}
+
+const AU_PLACE_PATTERNS = [
+  ...compileTerms(gazetteer.australia.places),
+  ...compileTerms(gazetteer.australia.institutions, true)
+];
+const AU_NATIONAL_PATTERNS = compileTerms(gazetteer.australia.national);
+const FOREIGN_PATTERNS = compileTerms(gazetteer.foreign);
+// Phrases where an Australian term means something else ("Victoria Beckham")
+const NOT_AUSTRALIAN_PATTERNS = compileTerms(gazetteer.australia.not_australian)
+  .map(pattern => new RegExp(pattern.source, `${pattern.flags}g`));
+
+function countMatches(text: string, patterns: RegExp[]): string[] {
+  const matches: string[] = [];
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) matches.push(match[0]);
+    if (matches.length >= MAX_MATCHES_PER_SIGNAL) break;
+  }
+  return matches;
+}
+
+function withoutNotAustralian(text: string): string {
+  return NOT_AUSTRALIAN_PATTERNS.reduce((result, pattern) => result.replace(pattern, ' '), text);
+}
+
+export function classifyRegion(item: NewsItem, source: FeedSource): RegionClassification {
+  let logOdds = WEIGHTS.base;
+  const signals: string[] = [];
+
+  if (source.region_hints?.includes('au')) {
+    logOdds += WEIGHTS.sourceHint;
+    signals.push('source:au');
+  }
+
+  try {
+    const url = new URL(item.url);
+    if (url.hostname.endsWith('.au')) {
+      logOdds += WEIGHTS.auDomain;
+      signals.push('domain:.au');
+    }
+
+    const segments = url.pathname.toLowerCase().split('/').filter(Boolean);
+    if (segments.some(segment => AU_PATH_SEGMENTS.has(segment))) {
+      logOdds += WEIGHTS.auPathSegment;
+      signals.push('path:au');
+    } else if (segments.some(segment => FOREIGN_PATH_SEGMENTS.has(segment))) {
+      logOdds += WEIGHTS.foreignPathSegment;
+      signals.push('path:foreign');
+    }
+  } catch {
+    // Unparseable URL - rely on text signals
+  }
+
+  const title = withoutNotAustralian(item.title || '');
+  const body = withoutNotAustralian(item.standfirst || '');
+
+  const textSignals: Array<[string, RegExp[], number, string]> = [
+    [title, AU_PLACE_PATTERNS, WEIGHTS.titlePlace, 'title:au'],
+    [body, AU_PLACE_PATTERNS, WEIGHTS.bodyPlace, 'body:au'],
+    [title, AU_NATIONAL_PATTERNS, WEIGHTS.titleNational, 'title:national'],
+    [body, AU_NATIONAL_PATTERNS, WEIGHTS.bodyNational, 'body:national'],
+    [title, FOREIGN_PATTERNS, WEIGHTS.titleForeign, 'title:foreign'],
+    [body, FOREIGN_PATTERNS, WEIGHTS.bodyForeign, 'body:foreign']
+  ];
+
+  for (const [text, patterns, weight, label] of textSignals) {
+    const matches = countMatches(text, patterns);
+    if (matches.length > 0) {
+      logOdds += weight * matches.length;
+      signals.push(`${label}(${matches.join(', ')})`);
+    }
+  }
+
+  return {
+    score: 1 / (1 + Math.exp(-logOdds)),
+    signals
+  };
+}
+
+// Keep the items that belong in the source's section: Australian stories for
+// the australia section, everything else for global. Other sections pass through.
+export function filterItemsByRegion(items: NewsItem[], source: FeedSource): NewsItem[] {
+  const options = REGION_CONFIGS[source.section];
+  if (!options) return items;
+
+  const threshold = options.threshold ?? 0.6;
+  const reviewMargin = options.reviewMargin ?? 0.1;
+
+  const kept: NewsItem[] = [];
+
+  for (const item of items) {
+    const { score, signals } = classifyRegion(item, source);
+    const isAustralian = score >= threshold;
+    const keep = source.section === 'australia' ? isAustralian : !isAustralian;
+
+    if (Math.abs(score - threshold) < reviewMargin) {
+      console.log(`Region review [${source.section}] ${keep ? 'kept' : 'dropped'} ${score.toFixed(2)} "${item.title}" (${source.name}; ${signals.join(' ') || 'no signals'})`);
+    }
+
+    // Copy rather than mutate: items may be shared with the feed cache
+    if (keep) {
+      kept.push({ ...item, region_score: Math.round(score * 1000) / 1000 });
+    }
+  }
+
+  return kept;
+}
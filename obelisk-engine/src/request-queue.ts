@@ -17,6 +17,7 @@ export class RateLimitedQueue {
   private readonly maxConcurrent: number;
   private readonly maxRetries: number;
   private readonly baseDelay: number;
+  private readonly maxRetryDelay: number; // Longest wait worth retrying after (ms)
   private lastRequestTime = 0;
   private readonly minInterval: number; // Minimum time between requests (ms)
 
@@ -25,10 +26,12 @@ export class RateLimitedQueue {
     maxRetries?: number;
     baseDelay?: number;
     minInterval?: number;
+    maxRetryDelay?: number;
   } = {}) {
     this.maxConcurrent = options.maxConcurrent || 8;
-    this.maxRetries = options.maxRetries || 5;
+    this.maxRetries = options.maxRetries ?? 5;
     this.baseDelay = options.baseDelay || 1000; // 1 second base delay
+    this.maxRetryDelay = options.maxRetryDelay ?? Infinity;
     this.minInterval = options.minInterval || 100; // 100ms between requests
   }
 
@@ -92,17 +95,18 @@ export class RateLimitedQueue {
   ): Promise<void> {
     const shouldRetry = this.shouldRetry(error, queuedRequest.retryCount);
     
-    if (shouldRetry && queuedRequest.retryCount < this.maxRetries) {
+    // Calculate delay with jittered exponential backoff
+    // Pass the error status for special handling
+    const delay = this.calculateRetryDelay(
+      queuedRequest.retryCount + 1, 
+      error.retryAfter,
+      error.status
+    );
+
+    // A long Retry-After or outage backoff fails now, so the caller can go elsewhere
+    if (shouldRetry && queuedRequest.retryCount < this.maxRetries && delay <= this.maxRetryDelay) {
       queuedRequest.retryCount++;
       
-      // Calculate delay with jittered exponential backoff
-      // Pass the error status for special handling
-      const delay = this.calculateRetryDelay(
-        queuedRequest.retryCount, 
-        error.retryAfter,
-        error.status
-      );
-      
       console.log(`Retrying request (attempt ${queuedRequest.retryCount}/${this.maxRetries}) after ${delay}ms - Status: ${error.status}`);
       
       // Wait and re-queue with higher priority
@@ -191,11 +195,3 @@ export class RateLimitedQueue {
     }
   }
 }
-
-// Singleton instance for Groq API requests (optimized for Groq free tier 30 RPM)
-export const groqQueue = new RateLimitedQueue({
-  maxConcurrent: 3, // Groq allows 30 RPM, more headroom for concurrency
-  maxRetries: 4,
-  baseDelay: 2000, // 2 second base delay for retries
-  minInterval: 2100 // 2.1 seconds between requests (~28 RPM, safely under 30 RPM)
-});
\ No newline at end of file
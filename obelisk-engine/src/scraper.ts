@@ -1,4 +1,6 @@
 import { NewsItem } from './types';
+import { extractMetaContent, toPlainText } from './html';
+import { httpClient } from './http-client';
 
 export interface ScrapedArticle {
   title: string;
@@ -11,12 +13,7 @@ export interface ScrapedArticle {
 // Scrape ABC News Australia's most read/popular sections
 export async function scrapeABCPopularArticles(): Promise<NewsItem[]> {
   try {
-    const response = await fetch('https://www.abc.net.au/news', {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; ActuaNewsBot/1.0)'
-      },
-      signal: AbortSignal.timeout(15000)
-    });
+    const response = await httpClient.fetch('https://www.abc.net.au/news', { timeoutMs: 15000 });
     
     if (!response.ok) {
       console.error(`Failed to fetch ABC News: ${response.status}`);
@@ -52,8 +49,10 @@ export async function scrapeABCPopularArticles(): Promise<NewsItem[]> {
       
       articles.push({
         source: 'ABC News Australia (Popular)',
+        publisher: 'ABC News',
         url: fullUrl,
         published_at: new Date().toISOString(),
+        date_estimated: true, // Listing pages don't carry publication dates
         title: cleanScrapedText(title),
         standfirst: '',
         content: '',
@@ -63,7 +62,7 @@ export async function scrapeABCPopularArticles(): Promise<NewsItem[]> {
       rank++;
     }
 
-    // Fetch images for each article in parallel
+    // Fetch images for each article; the HTTP client limits how many hit ABC at once
     await Promise.all(
       articles.map(async article => {
         const imageUrl = await extractOgImage(article.url);
@@ -82,23 +81,15 @@ export async function scrapeABCPopularArticles(): Promise<NewsItem[]> {
 
 async function extractOgImage(url: string): Promise<string | undefined> {
   try {
-    const res = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; ActuaNewsBot/1.0)'
-      },
-      signal: AbortSignal.timeout(15000)
-    });
+    const res = await httpClient.fetch(url, { timeoutMs: 15000 });
     if (!res.ok) return undefined;
     const html = await res.text();
-    const match =
-      html.match(/<meta[^>]+property=["']og:image["'][^>]+content=["']([^"']+)["']/i) ||
-      html.match(/<meta[^>]+name=["']og:image["'][^>]+content=["']([^"']+)["']/i) ||
-      html.match(/<meta[^>]+name=["']twitter:image["'][^>]+content=["']([^"']+)["']/i);
-    if (match?.[1]) {
+    const image = extractMetaContent(html, 'og:image') || extractMetaContent(html, 'twitter:image');
+    if (image) {
       try {
-        return new URL(match[1], url).toString();
+        return new URL(image, url).toString();
       } catch {
-        return match[1];
+        return image;
       }
     }
   } catch (err) {
@@ -110,12 +101,7 @@ async function extractOgImage(url: string): Promise<string | undefined> {
 // Scrape Ars Technica's front page articles (which are typically their most important/popular)
 export async function scrapeArsTechnicaPopularArticles(): Promise<NewsItem[]> {
   try {
-    const response = await fetch('https://arstechnica.com/', {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; ActuaNewsBot/1.0)'
-      },
-      signal: AbortSignal.timeout(15000)
-    });
+    const response = await httpClient.fetch('https://arstechnica.com/', { timeoutMs: 15000 });
     
     if (!response.ok) {
       console.error(`Failed to fetch Ars Technica: ${response.status}`);
@@ -145,8 +131,10 @@ export async function scrapeArsTechnicaPopularArticles(): Promise<NewsItem[]> {
       
       articles.push({
         source: 'Ars Technica',
+        publisher: 'Ars Technica',
         url: fullUrl,
         published_at: new Date().toISOString(),
+        date_estimated: true, // Listing pages don't carry publication dates
         title: cleanScrapedText(title),
         standfirst: '',
         content: '',
@@ -165,15 +153,7 @@ export async function scrapeArsTechnicaPopularArticles(): Promise<NewsItem[]> {
 
 // Clean text extracted from HTML
 function cleanScrapedText(text: string): string {
-  return text
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&nbsp;/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+  return toPlainText(text);
 }
 
 // Main function to fetch all scraped popular articles
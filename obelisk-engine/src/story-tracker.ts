@@ -0,0 +1,169 @@
+import { NewsCluster, CoverageSnapshot } from './types';
+import { articleUrlKey, extractShingles, jaccardSimilarity } from './normalize';
+
+// Cross-run story continuity. Each run's clusters are matched against a story
+// index kept from earlier runs by shared article URLs, falling back to
+// headline similarity, so a developing story keeps its ID (and "openModal"
+// deep links keep working). The index holds every story a section clustered,
+// not just the ones published, so a story that slips out of the top 50 and
+// climbs back keeps its ID and history.
+
+export interface StoryTrackingOptions {
+  minTitleSimilarity?: number; // Headline similarity needed to match without a shared URL (default: 0.35)
+  maxHistory?: number;         // Coverage history entries kept per story (default: 48)
+  retainHours?: number;        // How long a story stays in the index after it was last seen (default: 72)
+}
+
+// What the index keeps of a story between runs
+export interface StoryRecord {
+  id: string;
+  url_keys: string[]; // articleUrlKey of each item
+  headline: string;   // Item titles, joined
+  coverage: number;
+  first_seen: string;
+  last_updated: string;
+  last_seen: string;  // Last run the story was clustered
+  coverage_history: CoverageSnapshot[];
+}
+
+interface StoryMatch {
+  current: number;
+  previous: number;
+  score: number;
+}
+
+function urlKeys(cluster: NewsCluster): Set<string> {
+  return new Set(cluster.items.map(item => articleUrlKey(item.url)));
+}
+
+function headline(cluster: NewsCluster): string {
+  return cluster.items.map(item => item.title).join(' ');
+}
+
+// FNV-1a, base36: short, URL-safe and stable for the same seed
+function hashId(seed: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// New stories are named after the first of their article URL keys in sort
+// order, so the ID doesn't depend on where the story lands in this run's ordering
+function newStoryId(cluster: NewsCluster, taken: Set<string>): string {
+  const seed = cluster.items
+    .map(item => articleUrlKey(item.url))
+    .sort()[0] || cluster.title;
+  let id = `story_${hashId(seed)}`;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `story_${hashId(seed)}_${suffix}`;
+  }
+  return id;
+}
+
+// Assign stable IDs and continuity fields to `clusters` in place, using the
+// story index from earlier runs. Pass every clustered story, before any are
+// cut from the published list. Returns the index for the next run.
+export function trackStories(
+  clusters: NewsCluster[],
+  storyIndex: StoryRecord[],
+  now: string = new Date().toISOString(),
+  options: StoryTrackingOptions = {}
+): StoryRecord[] {
+  const minTitleSimilarity = options.minTitleSimilarity ?? 0.35;
+  const maxHistory = options.maxHistory ?? 48;
+  const retainHours = options.retainHours ?? 72;
+
+  // Stories gone for longer than that are forgotten; if they come back they're new
+  const cutoff = new Date(now).getTime() - retainHours * 60 * 60 * 1000;
+  const previousStories = storyIndex.filter(story => new Date(story.last_seen).getTime() >= cutoff);
+
+  const currentUrls = clusters.map(urlKeys);
+  const previousUrls = previousStories.map(story => new Set(story.url_keys));
+  const currentShingles = clusters.map(cluster => extractShingles(headline(cluster), 4));
+  const previousShingles = previousStories.map(story => extractShingles(story.headline, 4));
+
+  // Score every plausible pairing. A shared article is much stronger evidence
+  // than similar wording, so URL matches always outrank headline matches.
+  const matches: StoryMatch[] = [];
+  clusters.forEach((_, current) => {
+    previousStories.forEach((_, previous) => {
+      let shared = 0;
+      for (const key of currentUrls[current]) {
+        if (previousUrls[previous].has(key)) shared++;
+      }
+      if (shared > 0) {
+        const overlap = shared / Math.min(currentUrls[current].size, previousUrls[previous].size);
+        matches.push({ current, previous, score: 1 + overlap });
+        return;
+      }
+
+      const similarity = jaccardSimilarity(currentShingles[current], previousShingles[previous]);
+      if (similarity >= minTitleSimilarity) {
+        matches.push({ current, previous, score: similarity });
+      }
+    });
+  });
+
+  // Greedy one-to-one assignment, best matches first
+  matches.sort((a, b) => b.score - a.score);
+  const matchedPrevious = new Map<number, number>();
+  const claimed = new Set<number>();
+  for (const match of matches) {
+    if (matchedPrevious.has(match.current) || claimed.has(match.previous)) continue;
+    matchedPrevious.set(match.current, match.previous);
+    claimed.add(match.previous);
+  }
+
+  const taken = new Set(previousStories.map(story => story.id));
+
+  clusters.forEach((cluster, index) => {
+    const previousIndex = matchedPrevious.get(index);
+    const previous = previousIndex !== undefined ? previousStories[previousIndex] : undefined;
+
+    if (!previous) {
+      cluster.id = newStoryId(cluster, taken);
+      taken.add(cluster.id);
+      cluster.first_seen = now;
+      cluster.last_updated = now;
+      cluster.coverage_history = [{ at: now, coverage: cluster.coverage }];
+      return;
+    }
+
+    // New articles or a coverage change count as an update
+    const hasNewItems = [...currentUrls[index]].some(key => !previousUrls[previousIndex!].has(key));
+    const changed = hasNewItems || cluster.coverage !== previous.coverage;
+
+    cluster.id = previous.id;
+    cluster.first_seen = previous.first_seen;
+    cluster.last_updated = changed ? now : previous.last_updated;
+
+    // Record coverage only when it moves, so the history stays short
+    const history = [...previous.coverage_history];
+    if (history.length === 0 || history[history.length - 1].coverage !== cluster.coverage) {
+      history.push({ at: now, coverage: cluster.coverage });
+    }
+    cluster.coverage_history = history.slice(-maxHistory);
+  });
+
+  const continued = matchedPrevious.size;
+  console.log(`Story tracking: ${continued} continued, ${clusters.length - continued} new, ${previousStories.length - continued} not seen this run`);
+
+  // Stories not seen this run stay in the index in case they return
+  const unseen = previousStories.filter((_, index) => !claimed.has(index));
+  return [
+    ...clusters.map(cluster => ({
+      id: cluster.id,
+      url_keys: [...urlKeys(cluster)],
+      headline: headline(cluster),
+      coverage: cluster.coverage,
+      first_seen: cluster.first_seen!,
+      last_updated: cluster.last_updated!,
+      last_seen: now,
+      coverage_history: cluster.coverage_history!
+    })),
+    ...unseen
+  ];
+}
@@ -0,0 +1,100 @@
+// Schema for batch summary responses. The batch prompt asks for
+//
+//   {"clusters": [{"id": "<cluster id>", "headline": "...", "summary": ["...", ...]}]}
+//
+// and every entry is checked against the IDs that were sent, so a skipped,
+// reordered or duplicated cluster can never hand its bullets to another one.
+
+export interface ClusterSummary {
+  headline?: string; // Absent for clusters that keep their original headline
+  summary: string[];
+}
+
+export interface BatchValidation {
+  summaries: Map<string, ClusterSummary>; // Valid entries by cluster ID
+  problems: Map<string, string>; // Why each other requested ID has no summary
+}
+
+export const MIN_BULLETS = 3;
+export const MAX_BULLETS = 5;
+const MAX_HEADLINE_WORDS = 20;
+
+// Models wrap JSON in code fences or a sentence of preamble; take the
+// outermost object or array
+function extractJson(text: string): any {
+  const start = text.search(/[[{]/);
+  if (start === -1) throw new Error('no JSON found');
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+function cleanHeadline(headline: string): string {
+  return headline
+    .replace(/^["']|["']$/g, '') // Remove quotes
+    .replace(/\.+$/, '') // Remove trailing periods
+    .trim();
+}
+
+function validateEntry(entry: any, keepsHeadline: boolean): ClusterSummary | string {
+  if (!Array.isArray(entry.summary)) return '"summary" must be an array of bullet strings';
+  const bullets = entry.summary
+    .filter((bullet: any) => typeof bullet === 'string')
+    .map((bullet: string) => bullet.replace(/^\s*[-•*]\s*/, '').trim())
+    .filter((bullet: string) => bullet.length > 0);
+  if (bullets.length !== entry.summary.length) return '"summary" must contain only non-empty strings';
+  if (bullets.length < MIN_BULLETS || bullets.length > MAX_BULLETS) {
+    return `"summary" must have ${MIN_BULLETS} to ${MAX_BULLETS} bullets, got ${bullets.length}`;
+  }
+
+  if (keepsHeadline) return { summary: bullets };
+
+  if (typeof entry.headline !== 'string' || !cleanHeadline(entry.headline)) return '"headline" must be a non-empty string';
+  const headline = cleanHeadline(entry.headline);
+  if (headline.split(/\s+/).length > MAX_HEADLINE_WORDS) return `"headline" must be at most ${MAX_HEADLINE_WORDS} words`;
+  return { headline, summary: bullets };
+}
+
+// Validate a batch response against the cluster IDs that were requested.
+// `keepHeadline` lists IDs whose headline is not rewritten (newsGP).
+export function validateBatchResponse(text: string, requestedIds: string[], keepHeadline: Set<string> = new Set()): BatchValidation {
+  const summaries = new Map<string, ClusterSummary>();
+  const problems = new Map<string, string>();
+
+  let parsed: any;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    for (const id of requestedIds) problems.set(id, `response was not valid JSON (${(error as Error).message})`);
+    return { summaries, problems };
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.clusters;
+  if (!Array.isArray(entries)) {
+    for (const id of requestedIds) problems.set(id, 'response must have a "clusters" array');
+    return { summaries, problems };
+  }
+
+  const requested = new Set(requestedIds);
+  const seen = new Set<string>();
+  for (const entry of entries) {
+    const id = entry && typeof entry === 'object' ? entry.id : undefined;
+    // Entries for IDs that weren't asked for can't be placed safely
+    if (typeof id !== 'string' || !requested.has(id)) continue;
+
+    if (seen.has(id)) {
+      summaries.delete(id);
+      problems.set(id, 'returned more than once');
+      continue;
+    }
+    seen.add(id);
+
+    const result = validateEntry(entry, keepHeadline.has(id));
+    if (typeof result === 'string') problems.set(id, result);
+    else summaries.set(id, result);
+  }
+
+  for (const id of requestedIds) {
+    if (!seen.has(id)) problems.set(id, 'missing from the response');
+  }
+  return { summaries, problems };
+}
@@ -0,0 +1,106 @@
+import nlp from 'wink-nlp-utils';
+import { Entity } from './types';
+import { entityKey } from './entities';
+
+// TF-IDF term vectors over a section's items. Character shingles reward
+// shared spelling, including common words; these vectors reward shared rare
+// words and names, which is what paraphrased headlines about the same story
+// have in common ("PM announces housing plan" / "Albanese unveils housing plan").
+
+export type TermVector = Map<string, number>;
+
+export interface TfidfOptions {
+  entityWeight?: number; // Term frequency multiplier for named entities (default: 2)
+}
+
+export function wordTerms(text: string): string[] {
+  const tokens: string[] = nlp.string.tokenize0(text.toLowerCase());
+  return nlp.tokens.stem(nlp.tokens.removeWords(tokens))
+    .filter((term: string) => term.length > 1);
+}
+
+// One L2-normalised vector per text, with each text's named entities as
+// extra terms. IDF is computed over `texts` itself, so a word or name common
+// in this section's news counts for little and a shared rare one for a lot.
+export function buildTfidfVectors(texts: string[], entities: Entity[][] = [], options: TfidfOptions = {}): TermVector[] {
+  const entityWeight = options.entityWeight ?? 2;
+
+  const termCounts = texts.map((text, index) => {
+    const counts = new Map<string, number>();
+    for (const term of wordTerms(text)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    for (const entity of entities[index] || []) {
+      const term = `entity:${entityKey(entity)}`;
+      counts.set(term, (counts.get(term) || 0) + entityWeight);
+    }
+    return counts;
+  });
+
+  const documentFrequency = new Map<string, number>();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return termCounts.map(counts => {
+    const vector: TermVector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts) {
+      // Smoothed IDF; a term in every text still has a small positive weight
+      const idf = Math.log((1 + texts.length) / (1 + documentFrequency.get(term)!)) + 1;
+      const weight = count * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (const [term, weight] of vector) vector.set(term, weight / norm);
+    }
+    return vector;
+  });
+}
+
+export function cosineSimilarity(a: TermVector, b: TermVector): number {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of smaller) {
+    const other = larger.get(term);
+    if (other !== undefined) dot += weight * other;
+  }
+  return dot;
+}
+
+// Index pairs [i, j] (i < j) that share a term found in at most
+// `maxPostings` texts. A term shared more widely says little about any one
+// pair, and skipping it keeps the candidates to a fixed number per term
+// rather than a share of every pair in the section.
+export function tfidfCandidatePairs(vectors: TermVector[], maxPostings: number = 8): Array<[number, number]> {
+  const postings = new Map<string, number[]>();
+  vectors.forEach((vector, index) => {
+    for (const term of vector.keys()) {
+      const list = postings.get(term);
+      if (list) list.push(index);
+      else postings.set(term, [index]);
+    }
+  });
+
+  const seen = new Set<number>();
+  const pairs: Array<[number, number]> = [];
+
+  for (const list of postings.values()) {
+    if (list.length < 2 || list.length > maxPostings) continue;
+    for (let a = 0; a < list.length; a++) {
+      for (let b = a + 1; b < list.length; b++) {
+        const pairKey = list[a] * vectors.length + list[b];
+        if (!seen.has(pairKey)) {
+          seen.add(pairKey);
+          pairs.push([list[a], list[b]]);
+        }
+      }
+    }
+  }
+
+  return pairs;
+}
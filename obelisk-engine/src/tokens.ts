@@ -0,0 +1,78 @@
+import { NewsItem } from './types';
+
+// Token estimates and budget-aware trimming for LLM prompts. Counts are
+// approximate (about four characters per token for English news copy, which
+// slightly overestimates for the models we use), so budgets keep some slack.
+
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Sentence ends: ".", "!" or "?" (optionally closing a quote or bracket)
+// followed by a capital, digit or opening quote
+const SENTENCE_BREAK = /(?<=[.!?]["”’)]?)\s+(?=["“‘(]?[\p{Lu}\d])/u;
+
+// Whole sentences of `text` that fit in `maxTokens`. If even the first
+// sentence is too long it is cut at a word boundary and marked with "…".
+export function truncateToTokens(text: string, maxTokens: number): string {
+  const trimmed = text.trim();
+  if (estimateTokens(trimmed) <= maxTokens) return trimmed;
+
+  let result = '';
+  for (const sentence of trimmed.split(SENTENCE_BREAK)) {
+    const next = result ? `${result} ${sentence}` : sentence;
+    if (estimateTokens(next) > maxTokens) break;
+    result = next;
+  }
+  if (result) return result;
+
+  const maxChars = Math.max(0, maxTokens * CHARS_PER_TOKEN - 1);
+  const cut = trimmed.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return lastSpace > 0 ? `${cut.slice(0, lastSpace)}…` : '';
+}
+
+// Split `budget` across needs so no one gets more than it needs and the
+// rest share what's left equally (water-filling)
+export function fairShares(needs: number[], budget: number): number[] {
+  const shares = needs.map(() => 0);
+  const open = needs.map((_, index) => index).sort((a, b) => needs[a] - needs[b]);
+  let remaining = budget;
+
+  while (open.length > 0) {
+    const equal = Math.floor(remaining / open.length);
+    if (needs[open[0]] > equal) {
+      for (const index of open) shares[index] = equal;
+      break;
+    }
+    const index = open.shift()!;
+    shares[index] = needs[index];
+    remaining -= needs[index];
+  }
+  return shares;
+}
+
+// A cluster's articles as prompt lines ("[source] title: text") within
+// `maxTokens`. Every item that fits gets its title line; the remaining budget
+// is shared fairly between the items' text, cut at sentence boundaries.
+export function packItemsText(items: NewsItem[], maxTokens: number): string {
+  const headers: string[] = [];
+  let used = 0;
+  for (const item of items) {
+    const header = `[${item.source || ''}] ${item.title || ''}`;
+    const cost = estimateTokens(header) + 1; // Plus the blank line between items
+    if (headers.length > 0 && used + cost > maxTokens) break;
+    headers.push(header);
+    used += cost;
+  }
+
+  const bodies = items.slice(0, headers.length).map(item => (item.standfirst || item.content || '').trim());
+  const shares = fairShares(bodies.map(body => (body ? estimateTokens(body) + 1 : 0)), Math.max(0, maxTokens - used));
+
+  return headers.map((header, index) => {
+    const body = bodies[index] && shares[index] > 1 ? truncateToTokens(bodies[index], shares[index] - 1) : '';
+    return body ? `${header}: ${body}` : header;
+  }).join('\n\n');
+}
@@ -1,5 +1,6 @@
 export interface NewsItem {
   source: string;
+  publisher?: string; // Canonical publisher of the source feed
   url: string;
   published_at: string;
   title: string;
@@ -8,6 +9,21 @@ export interface NewsItem {
   canonical_url?: string;
   feed_position?: number; // Position in the original RSS feed (0 = top)
   image_url?: string; // RSS-extracted image URL
+  date_estimated?: boolean; // Feed gave no usable date, so published_at is when the item was first seen
+  region_score?: number; // 0-1 likelihood the story is Australian (australia/global feeds only)
+  entities?: Entity[]; // Named entities in the title and standfirst
+}
+
+// 'other': a multi-word name of unknown kind ("Wall Street", "White House")
+export type EntityType = 'person' | 'organisation' | 'place' | 'number' | 'other';
+
+export interface Entity {
+  text: string;
+  type: EntityType;
+}
+
+export interface ClusterEntity extends Entity {
+  count: number; // Items in the cluster mentioning it
 }
 
 export interface NewsCluster {
@@ -17,14 +33,48 @@ export interface NewsCluster {
   title: string;
   neutral_headline?: string;
   ai_summary?: string[] | string; // AI-generated summary (array of bullets or legacy string format)
+  summary_confidence?: number; // Share (0-1) of the AI summary's names, numbers and quotes found in the items
   items: NewsItem[];
   popularity_score?: number; // Calculated popularity score for sorting
+  score_breakdown?: ScoreComponent[]; // The points behind popularity_score
+  trending_score?: number; // Publishers gained per hour, decayed by age (see SectionOrderings.trending)
   featured_image?: string; // Featured image URL for the cluster
+  first_seen?: string; // When this story first appeared (stable across runs)
+  last_updated?: string; // Last run that added articles or changed coverage
+  coverage_history?: CoverageSnapshot[]; // Coverage each time it changed, oldest first
+  entities?: ClusterEntity[]; // Most widely mentioned entities across the items, for entity chips
+  representative_url?: string; // URL of the medoid item, the one most similar to the rest; title and featured_image come from it
+  mean_similarity?: number; // Mean pairwise similarity between items (multi-item clusters only)
+  weakest_pair?: WeakestPair; // Least similar pair of items (multi-item clusters only)
+  source_mix?: string; // Publishers by country plus wire copy, e.g. "3 AU, 2 UK, 1 US; 1 wire"
+}
+
+export interface WeakestPair {
+  urls: [string, string];
+  similarity: number;
+}
+
+export interface ScoreComponent {
+  factor: string; // e.g. "coverage: 3 publishers", "rule: ai", "recency"
+  points: number;
+}
+
+export interface CoverageSnapshot {
+  at: string;
+  coverage: number;
 }
 
 export interface SectionData {
   updated_at: string;
-  clusters: NewsCluster[];
+  clusters: NewsCluster[]; // By popularity_score
+  orderings?: SectionOrderings;
+}
+
+// Alternative orderings of a section's clusters, as cluster IDs
+export interface SectionOrderings {
+  latest: string[]; // Newest article first
+  trending: string[]; // By trending_score
+  most_covered: string[]; // By coverage, then popularity_score
 }
 
 export interface MedicalSectionData {
@@ -34,12 +84,24 @@ export interface MedicalSectionData {
   month_in_research: SectionData;
 }
 
+export interface PublisherInfo {
+  country: string; // Two-letter code as shown to readers, e.g. "AU", "UK", "US"
+  ownership: string; // Ownership group; outlets sharing an owner add less diversity
+  lean?: 'left' | 'centre-left' | 'centre' | 'centre-right' | 'right';
+  reporting: 'original' | 'wire' | 'aggregator';
+}
+
 export interface FeedSource {
   name: string;
+  publisher?: string; // Canonical publisher; feeds sharing one count once towards coverage (default: name)
   url: string;
   type: 'rss' | 'api';
   section: 'global' | 'australia' | 'technology' | 'medical';
   subsection?: 'clinical' | 'professional' | 'patient_signals' | 'month_in_research';
+  enabled?: boolean; // Disabled feeds stay in the registry but are never fetched
+  trust?: 'trusted' | 'standard'; // Trusted sources may show single-source stories
+  region_hints?: string[]; // e.g. ['au'] for Australian outlets
+  timeout_ms?: number; // Per-feed fetch timeout
 }
 
 export interface Env {
@@ -1,8 +1,13 @@
 import { Env, SectionData, MedicalSectionData, NewsCluster } from './types';
-import { FEED_SOURCES, getFeedsBySection } from './feeds';
-import { fetchAllFeeds, fetchEvidenceAlerts } from './fetcher';
+import { FEED_SOURCES, getFeedsBySection, getTrustedSources } from './feeds';
+import { fetchAllFeeds, fetchEvidenceAlerts, FetchOptions } from './fetcher';
+import { KVFeedCache } from './feed-cache';
+import { FeedHealthTracker, FeedHealthReport } from './feed-health';
 import { clusterNewsItems, CLUSTER_CONFIGS } from './cluster';
+import { scoreCluster, sectionOrderings } from './popularity';
 import { fetchScrapedPopularArticles } from './scraper';
+import { trackStories, StoryRecord } from './story-tracker';
+import { tagEntities } from './entities';
 
 export default {
   async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
@@ -67,6 +72,13 @@ export default {
         return new Response(JSON.stringify(response), { headers: corsHeaders });
       }
 
+      if (path === '/news-api/feed-health') {
+        const data = await env.NEWS_KV.get('news:feed-health', 'json');
+        return new Response(JSON.stringify(data || { feeds: [], quarantined: [], updated_at: new Date().toISOString() }), {
+          headers: corsHeaders
+        });
+      }
+
       if (path === '/news-api/health-today') {
         const data = await env.NEWS_KV.get('news:medical:patient_signals', 'json');
         return new Response(JSON.stringify(data || { clusters: [], updated_at: new Date().toISOString() }), {
@@ -88,27 +100,30 @@ export default {
 
       const section = url.searchParams.get('section');
       const refreshed: string[] = [];
+      const fetchOptions = await createFetchOptions(env);
 
       if (!section || section === 'global') {
-        await refreshSection('global', env);
+        await refreshSection('global', env, fetchOptions);
         refreshed.push('global');
       }
 
       if (!section || section === 'australia') {
-        await refreshSection('australia', env);
+        await refreshSection('australia', env, fetchOptions);
         refreshed.push('australia');
       }
 
       if (!section || section === 'technology') {
-        await refreshSection('technology', env);
+        await refreshSection('technology', env, fetchOptions);
         refreshed.push('technology');
       }
 
       if (!section || section === 'medical') {
-        await refreshMedicalSections(env);
+        await refreshMedicalSections(env, fetchOptions);
         refreshed.push('medical');
       }
 
+      await saveFeedHealth(env, fetchOptions.health!);
+
       return new Response(JSON.stringify({
         ok: true,
         refreshed,
@@ -126,30 +141,48 @@ export default {
     
     // Refresh at 4, 10, 16, 20 Sydney time
     if ([4, 10, 16, 20].includes(hour)) {
+      const fetchOptions = await createFetchOptions(env);
       await Promise.all([
-        refreshSection('global', env),
-        refreshSection('australia', env),
-        refreshSection('technology', env),
-        refreshMedicalSections(env)
+        refreshSection('global', env, fetchOptions),
+        refreshSection('australia', env, fetchOptions),
+        refreshSection('technology', env, fetchOptions),
+        refreshMedicalSections(env, fetchOptions)
       ]);
+      await saveFeedHealth(env, fetchOptions.health!);
     }
   }
 };
 
-async function refreshSection(section: string, env: Env): Promise<void> {
+async function createFetchOptions(env: Env): Promise<FetchOptions> {
+  const previousHealth = await env.NEWS_KV.get('news:feed-health', 'json');
+  return {
+    cache: new KVFeedCache(env.NEWS_KV),
+    health: new FeedHealthTracker(previousHealth as FeedHealthReport)
+  };
+}
+
+async function saveFeedHealth(env: Env, health: FeedHealthTracker): Promise<void> {
+  await env.NEWS_KV.put('news:feed-health', JSON.stringify(health.getReport()));
+}
+
+// Tracked stories live in KV per section, for story continuity across runs
+async function updateStoryIndex(env: Env, section: string, clusters: NewsCluster[]): Promise<void> {
+  const previous = await env.NEWS_KV.get(`news:stories:${section}`, 'json') as StoryRecord[] | null;
+  const stories = trackStories(clusters, previous || []);
+  await env.NEWS_KV.put(`news:stories:${section}`, JSON.stringify(stories));
+}
+
+async function refreshSection(section: string, env: Env, fetchOptions: FetchOptions): Promise<void> {
   try {
     const sources = getFeedsBySection(section);
-    const items = await fetchAllFeeds(sources);
+    const items = tagEntities(await fetchAllFeeds(sources, fetchOptions));
 
     // Use section-specific clustering config to prevent transitive false positives
     const clusterConfig = CLUSTER_CONFIGS[section] || CLUSTER_CONFIGS.global;
     const clusters = clusterNewsItems(items, clusterConfig);
 
     // Define trusted sources that can show single-source stories
-    const trustedSources = {
-      'australia': ['ABC News Australia', 'ABC Just In', 'ABC News Australia (Popular)'],
-      'technology': ['Ars Technica', 'Ars Technica Main']
-    };
+    const trustedSources = getTrustedSources(section);
 
     // Filter clusters based on section rules
     let filteredClusters = clusters;
@@ -159,12 +192,7 @@ async function refreshSection(section: string, env: Env): Promise<void> {
         if (cluster.coverage >= 2) return true;
         
         // For single-source clusters, only include if from trusted sources
-        if (section in trustedSources) {
-          const trusted = trustedSources[section as keyof typeof trustedSources];
-          return cluster.items.some(item => trusted.includes(item.source));
-        }
-        
-        return false;
+        return cluster.items.some(item => trustedSources.includes(item.source));
       });
     }
 
@@ -197,7 +225,9 @@ async function refreshSection(section: string, env: Env): Promise<void> {
 
     // Calculate popularity scores for each cluster
     filteredClusters.forEach(cluster => {
-      cluster.popularity_score = calculatePopularityScore(cluster, section);
+      const { score, breakdown } = scoreCluster(cluster, section);
+      cluster.popularity_score = score;
+      cluster.score_breakdown = breakdown;
     });
 
     // Sort by popularity score (higher = more popular)
@@ -205,14 +235,22 @@ async function refreshSection(section: string, env: Env): Promise<void> {
       return (b.popularity_score || 0) - (a.popularity_score || 0);
     });
 
-    // Temporarily disable AI processing to debug CPU timeout issues
+    // Temporarily disable AI processing to debug CPU timeout issues. When
+    // re-enabled, passing `env` to generateBatchAISummaries makes the `AI`
+    // binding available as the workers-ai provider.
     console.log(`Skipping AI processing for all ${filteredClusters.length} clusters to avoid CPU timeout`);
 
+    // Story IDs and history for every cluster, so one that drops out of the
+    // top 50 keeps its ID if it climbs back
+    await updateStoryIndex(env, section, filteredClusters);
+
     const data: SectionData = {
       updated_at: new Date().toISOString(),
       clusters: filteredClusters.slice(0, 50) // Limit to top 50 clusters
     };
 
+    data.orderings = sectionOrderings(data.clusters);
+
     await env.NEWS_KV.put(`news:${section}`, JSON.stringify(data), {
       expirationTtl: 86400 // 24 hours
     });
@@ -221,16 +259,17 @@ async function refreshSection(section: string, env: Env): Promise<void> {
   }
 }
 
-async function refreshMedicalSections(env: Env): Promise<void> {
+async function refreshMedicalSections(env: Env, fetchOptions: FetchOptions): Promise<void> {
   try {
     // Refresh each medical subsection
     const subsections = ['clinical', 'professional', 'patient_signals'];
     
     await Promise.all(subsections.map(async (subsection) => {
       const sources = getFeedsBySection('medical', subsection);
-      const items = await fetchAllFeeds(sources);
+      const items = tagEntities(await fetchAllFeeds(sources, fetchOptions));
       const medicalConfig = CLUSTER_CONFIGS.medical || CLUSTER_CONFIGS.global;
       const clusters = clusterNewsItems(items, medicalConfig);
+      await updateStoryIndex(env, `medical:${subsection}`, clusters);
 
       const data: SectionData = {
         updated_at: new Date().toISOString(),
@@ -239,6 +278,8 @@ async function refreshMedicalSections(env: Env): Promise<void> {
           : clusters.slice(0, 20) // More for patient signals
       };
 
+      data.orderings = sectionOrderings(data.clusters);
+
       await env.NEWS_KV.put(`news:medical:${subsection}`, JSON.stringify(data), {
         expirationTtl: 86400
       });
@@ -258,86 +299,3 @@ async function refreshMedicalSections(env: Env): Promise<void> {
     console.error('Error refreshing medical sections:', error);
   }
 }
-
-function calculatePopularityScore(cluster: NewsCluster, section: string): number {
-  let score = 0;
-  
-  // Base score from coverage (multi-source stories are inherently more popular)
-  // Multi-source articles get much higher base scores to ensure they always rank above single-source
-  if (cluster.coverage >= 2) {
-    score += cluster.coverage * 1000; // 2000+ for 2-source, 3000+ for 3-source, etc.
-  } else {
-    score += 100; // Single-source articles start much lower
-  }
-  
-  // For single-source trusted articles, use content-based popularity indicators
-  if (cluster.coverage === 1) {
-    const item = cluster.items[0];
-    
-    // Higher bonus for scraped articles (they come from "popular" sections)
-    if (item.feed_position !== undefined && item.feed_position < 10) {
-      // Scraped articles get massive bonus since they're from curated popular sections
-      score += 200 - (item.feed_position * 10); // First scraped article gets 200, second gets 190, etc.
-    }
-    
-    // Bonus for trusted sources (these are allowed single-source articles)
-    const trustedSources = {
-      'australia': ['ABC News Australia', 'ABC Just In', 'ABC News Australia (Popular)'],
-      'technology': ['Ars Technica', 'Ars Technica Main']
-    };
-    
-    if (section in trustedSources) {
-      const trusted = trustedSources[section as keyof typeof trustedSources];
-      if (trusted.includes(item.source)) {
-        score += 30; // Trusted source bonus
-      }
-    }
-    
-    // Content quality and popularity indicators
-    const title = item.title.toLowerCase();
-    const content = (item.standfirst || item.content || '').toLowerCase();
-    
-    // Technology-specific popularity indicators
-    if (section === 'technology') {
-      // High interest tech topics
-      if (title.includes('ai') || title.includes('artificial intelligence') || title.includes('chatgpt') || title.includes('gpt')) score += 15;
-      if (title.includes('apple') || title.includes('iphone') || title.includes('google') || title.includes('microsoft')) score += 12;
-      if (title.includes('security') || title.includes('privacy') || title.includes('hack')) score += 10;
-      if (title.includes('climate') || title.includes('space') || title.includes('mars')) score += 8;
-      if (title.includes('bitcoin') || title.includes('crypto') || title.includes('blockchain')) score += 8;
-      if (title.includes('tesla') || title.includes('electric') || title.includes('ev')) score += 6;
-      
-      // Content type indicators
-      if (title.includes('review') || title.includes('test')) score += 5;
-      if (title.includes('breaking') || title.includes('exclusive')) score += 8;
-    }
-    
-    // Australia-specific popularity indicators  
-    if (section === 'australia') {
-      // High interest topics
-      if (title.includes('election') || title.includes('politics') || title.includes('government')) score += 12;
-      if (title.includes('economy') || title.includes('housing') || title.includes('interest rate')) score += 10;
-      if (title.includes('climate') || title.includes('bushfire') || title.includes('flood')) score += 8;
-      if (title.includes('sydney') || title.includes('melbourne') || title.includes('brisbane')) score += 6;
-      if (title.includes('sport') || title.includes('afl') || title.includes('nrl')) score += 5;
-      
-      // News type indicators
-      if (title.includes('breaking') || title.includes('live') || title.includes('urgent')) score += 10;
-      if (title.includes('exclusive') || title.includes('investigation')) score += 8;
-    }
-    
-    // Length and quality indicators (longer titles often indicate more significant stories)
-    if (title.length > 50 && title.length < 120) score += 3;
-    
-    // Avoid less newsworthy content
-    if (title.includes('weather') || title.includes('traffic')) score -= 5;
-    if (title.includes('sport') && section !== 'australia') score -= 3; // Sports less relevant in tech
-  }
-  
-  // Recency factor (more recent = slightly higher score)
-  const hoursOld = (Date.now() - new Date(cluster.updated_at).getTime()) / (1000 * 60 * 60);
-  const recencyBonus = Math.max(0, 20 - hoursOld); // Up to 20 points for very recent stories
-  score += recencyBonus;
-  
-  return score;
-}
\ No newline at end of file
@@ -0,0 +1,313 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { clusterNewsItems, CLUSTER_CONFIGS, ClusterOptions } from './src/cluster';
+import { lshCandidatePairs } from './src/minhash';
+import { buildTfidfVectors, tfidfCandidatePairs } from './src/tfidf';
+import { extractShingles, selectBestHeadline } from './src/normalize';
+import { trackStories } from './src/story-tracker';
+import { extractEntities, entityKey } from './src/entities';
+import { goldLabels, predictedLabels, scoreClustering } from './src/cluster-eval';
+import { getPublisherInfo, isWireCopy } from './src/publishers';
+import { FEED_SOURCES } from './src/feeds';
+import { NewsItem, NewsCluster } from './src/types';
+
+// Fixture-based checks for clusterNewsItems. The fixture holds real items
+// from each section's data file.
+// Run with: npm run test:clustering
+
+async function loadSections(): Promise<Record<string, NewsItem[]>> {
+  const text = await fs.readFile(path.join(__dirname, 'test-data', 'clustering', 'items.json'), 'utf-8');
+  return JSON.parse(text);
+}
+
+function membership(clusters: NewsCluster[]): string[] {
+  return clusters.map(cluster => cluster.items.map(item => item.url).sort().join(' | ')).sort();
+}
+
+function shingles(item: NewsItem): Set<string> {
+  const text = `${item.title} ${item.standfirst || ''}`;
+  return new Set([...extractShingles(text, 3), ...extractShingles(text, 4), ...extractShingles(text, 5)]);
+}
+
+function makeItem(url: string, title: string, extra: Partial<NewsItem> = {}): NewsItem {
+  return { source: 'Fixture', url, title, published_at: '2026-10-12T08:00:00.000Z', ...extra };
+}
+
+const tests: Array<[string, () => Promise<void>]> = [
+  ['LSH matches exhaustive comparison', async () => {
+    const sections = await loadSections();
+    for (const [section, items] of Object.entries(sections)) {
+      const config = CLUSTER_CONFIGS[section];
+      const lsh = clusterNewsItems(items, config);
+      const exhaustive = clusterNewsItems(items, { ...config, exhaustive: true });
+      assert.deepEqual(membership(lsh), membership(exhaustive), `${section} clusters differ`);
+      assert.deepEqual(lsh.map(c => c.coverage), exhaustive.map(c => c.coverage), `${section} coverage differs`);
+    }
+  }],
+
+  ['LSH prunes unrelated pairs', async () => {
+    const items = Object.values(await loadSections()).flat();
+    const pairs = lshCandidatePairs(items.map(shingles));
+    const allPairs = items.length * (items.length - 1) / 2;
+    assert.ok(pairs.length < allPairs / 20, `${pairs.length} of ${allPairs} pairs were candidates`);
+  }],
+
+  ['Clustering metrics', async () => {
+    const gold = new Map([['a', 'x'], ['b', 'x'], ['c', 'x'], ['d', 'y'], ['e', 'z']]);
+
+    const perfect = scoreClustering(new Map([['a', '1'], ['b', '1'], ['c', '1'], ['d', '2'], ['e', '3']]), gold);
+    assert.equal(perfect.pairwise.f1, 1);
+    assert.equal(perfect.bcubed.f1, 1);
+    assert.equal(perfect.ari, 1);
+
+    // "c" split off and wrongly merged with "d"
+    const scores = scoreClustering(new Map([['a', '1'], ['b', '1'], ['c', '2'], ['d', '2'], ['e', '3']]), gold);
+    assert.equal(scores.pairwise.precision, 1 / 2);
+    assert.equal(scores.pairwise.recall, 1 / 3);
+    assert.ok(Math.abs(scores.bcubed.precision - 4 / 5) < 1e-9);
+    assert.ok(Math.abs(scores.bcubed.recall - 11 / 15) < 1e-9);
+    assert.ok(scores.ari > 0 && scores.ari < 1);
+
+    // Everything in one cluster scores no better than chance
+    const lumped = scoreClustering(new Map([...gold.keys()].map(url => [url, '1'])), gold);
+    assert.equal(lumped.ari, 0);
+  }],
+
+  ['Gold fixture scores', async () => {
+    const sections = await loadSections();
+    const gold = JSON.parse(await fs.readFile(path.join(__dirname, 'test-data', 'clustering', 'gold.json'), 'utf-8'));
+    for (const [section, items] of Object.entries(sections)) {
+      const clusters = clusterNewsItems(items, CLUSTER_CONFIGS[section]);
+      const scores = scoreClustering(predictedLabels(clusters), goldLabels(items, gold[section] || {}));
+      assert.equal(scores.pairwise.precision, 1, `${section} merged different stories`);
+      assert.ok(scores.bcubed.f1 >= 0.95, `${section} B-cubed F1 ${scores.bcubed.f1.toFixed(3)}`);
+    }
+  }],
+
+  ['TF-IDF catches paraphrased headlines', async () => {
+    const items = [
+      makeItem('https://a.example.com/snowy', 'Snowy Hydro costs blow out again'),
+      makeItem('https://b.example.com/snowy', 'Minister defends Snowy Hydro budget', { source: 'Other' }),
+      makeItem('https://c.example.com/rates', 'Reserve Bank holds interest rates steady'),
+      makeItem('https://d.example.com/cricket', 'Australia win the second Test in Perth'),
+      makeItem('https://e.example.com/fires', 'Bushfire warnings issued across Victoria'),
+      makeItem('https://f.example.com/qantas', 'Qantas cancels flights amid strike')
+    ];
+    const snowyClusters = (config: ClusterOptions) =>
+      clusterNewsItems(items, config).filter(cluster => cluster.items.some(item => item.url.includes('snowy')));
+
+    assert.equal(snowyClusters({ ...CLUSTER_CONFIGS.australia, tfidfWeight: 0 }).length, 2);
+    const hybrid = snowyClusters({ ...CLUSTER_CONFIGS.australia, tfidfWeight: 0.3 });
+    assert.equal(hybrid.length, 1);
+    assert.equal(hybrid[0].coverage, 2);
+
+    // A term in more than a handful of texts doesn't make candidates
+    const vectors = buildTfidfVectors([...items.map(item => item.title), ...Array(9).fill('Australia news')]);
+    const pairs = tfidfCandidatePairs(vectors);
+    assert.ok(pairs.some(([i, j]) => i === 0 && j === 1));
+    assert.ok(!pairs.some(([i, j]) => i >= items.length && j >= items.length));
+  }],
+
+  ['Entity extraction', async () => {
+    const entities = extractEntities('Prime Minister Anthony Albanese unveils $10bn plan as Reserve Bank of Australia meets Fifa president Gianni Infantino in Geneva');
+    const byText = new Map(entities.map(entity => [entity.text, entity.type]));
+    assert.equal(byText.get('Anthony Albanese'), 'person');
+    assert.equal(byText.get('Gianni Infantino'), 'person');
+    assert.equal(byText.get('Reserve Bank of Australia'), 'organisation');
+    assert.equal(byText.get('Geneva'), 'place');
+    assert.equal(byText.get('$10bn'), 'number');
+    assert.ok(!byText.has('Reserve Bank') && !byText.has('Minister'));
+
+    // Places and institutions look like names but aren't people
+    const places = new Map(extractEntities('Protests spread from Los Angeles to Wall Street as White House stays silent').map(entity => [entity.text, entity.type]));
+    assert.equal(places.get('Los Angeles'), 'other');
+    assert.equal(places.get('Wall Street'), 'other');
+    assert.equal(places.get('White House'), 'organisation');
+
+    // Title Case headlines only yield known names
+    assert.deepEqual(extractEntities('Race Cars Set To Zip Through Downtown Streets'), []);
+
+    // Differently written amounts compare equal
+    assert.equal(entityKey({ text: '$400m', type: 'number' }), entityKey({ text: '$400 Million', type: 'number' }));
+  }],
+
+  ['Cluster entities', async () => {
+    const [cluster] = clusterNewsItems([
+      makeItem('https://a.example.com/tiktok', 'TikTok to pay $400m to settle US child privacy case', { standfirst: 'Justice minister Jane Doyle announced the deal.' }),
+      makeItem('https://b.example.com/tiktok', 'TikTok will pay $400 million to settle child privacy case', { source: 'Other', standfirst: 'The settlement is a record, said minister Doyle.' })
+    ]);
+    assert.equal(cluster.coverage, 2);
+    const counts = new Map(cluster.entities!.map(entity => [entity.text, entity.count]));
+    assert.equal(counts.get('TikTok'), 2);
+    assert.equal(counts.get('$400m'), 2);
+    // The bare surname is folded into the full name
+    assert.equal(counts.get('Jane Doyle'), 2);
+    assert.ok(!counts.has('Doyle'));
+  }],
+
+  ['Failed components are split, not dropped', async () => {
+    // The oil-markets story chains onto the talks via the fourth headline,
+    // but shares nothing with the other three
+    const titles = [
+      'Leaders meet in Geneva for ceasefire talks on Sunday',
+      'Leaders meet in Geneva for ceasefire talks',
+      'World leaders meet in Geneva for ceasefire talks',
+      'Leaders meet in Geneva for ceasefire talks amid oil price slump',
+      'Oil price slump hits energy shares as markets fall'
+    ];
+    const clusters = clusterNewsItems(
+      titles.map((title, index) => makeItem(`https://s${index}.example.com/story`, title, { source: `Source ${index}` })),
+      { similarityThreshold: 0.12, minPairSimilarity: 0.08 }
+    );
+    assert.deepEqual(clusters.map(cluster => cluster.coverage), [4, 1]);
+    assert.equal(clusters[1].title, titles[4]);
+  }],
+
+  ['Cluster representative and cohesion', async () => {
+    const titles = [
+      'Leaders meet in Geneva for ceasefire talks on Sunday',
+      'Leaders meet in Geneva for ceasefire talks',
+      'World leaders meet in Geneva for ceasefire talks',
+      'Leaders meet in Geneva for ceasefire talks amid oil price slump'
+    ];
+    const [cluster] = clusterNewsItems(
+      titles.map((title, index) => makeItem(`https://s${index}.example.com/story`, title, {
+        source: `Source ${index}`,
+        image_url: `https://s${index}.example.com/photo.jpg`
+      }))
+    );
+    assert.equal(cluster.coverage, 4);
+    // The plain headline is closest to all the others, and leads the cluster
+    assert.equal(cluster.representative_url, 'https://s1.example.com/story');
+    assert.equal(cluster.title, titles[1]);
+    assert.equal(cluster.featured_image, 'https://s1.example.com/photo.jpg');
+    assert.deepEqual([...cluster.weakest_pair!.urls].sort(), ['https://s2.example.com/story', 'https://s3.example.com/story']);
+    assert.ok(cluster.weakest_pair!.similarity <= cluster.mean_similarity!);
+
+    const [single] = clusterNewsItems([makeItem('https://a.example.com/one', 'A story of its own')]);
+    assert.equal(single.representative_url, 'https://a.example.com/one');
+    assert.equal(single.mean_similarity, undefined);
+  }],
+
+  ['Diverse item order and source mix', async () => {
+    const title = 'Canada to match US tariffs dollar for dollar after trade talks collapse';
+    const at = (hour: number) => `2026-10-12T${String(hour).padStart(2, '0')}:00:00.000Z`;
+    const [cluster] = clusterNewsItems([
+      makeItem('https://smh.example.com/a', title, { source: 'Sydney Morning Herald', publisher: 'Sydney Morning Herald', published_at: at(9) }),
+      makeItem('https://age.example.com/a', title, { source: 'The Age', publisher: 'The Age', published_at: at(8) }),
+      makeItem('https://nine.example.com/a', title, { source: '9News', publisher: '9News', published_at: at(7), standfirst: 'Ottawa responds to Washington. (AAP)' }),
+      makeItem('https://bbc.example.com/a', title, { source: 'BBC World', publisher: 'BBC', published_at: at(6) }),
+      makeItem('https://npr.example.com/a', title, { source: 'NPR News', publisher: 'NPR News', published_at: at(5) })
+    ]);
+
+    assert.equal(cluster.coverage, 5);
+    assert.equal(cluster.source_mix, '3 AU, 1 UK, 1 US; 1 wire');
+    // The newest item still leads and names the cluster, but the other
+    // Nine Entertainment mastheads wait behind other owners, countries and leans
+    assert.equal(cluster.title, title);
+    assert.equal(cluster.updated_at, at(9));
+    assert.deepEqual(cluster.items.map(item => item.source), ['Sydney Morning Herald', 'NPR News', 'BBC World', 'The Age', '9News']);
+  }],
+
+  ['Every registered publisher has metadata', async () => {
+    const missing = [...new Set(FEED_SOURCES.map(feed => feed.publisher!))]
+      .filter(publisher => !getPublisherInfo(makeItem('https://example.com', '', { publisher })));
+    assert.deepEqual(missing, []);
+    assert.ok(isWireCopy(makeItem('https://example.com', '', { publisher: 'Reuters Top News' })));
+    assert.ok(!isWireCopy(makeItem('https://example.com', '', { publisher: 'BBC', standfirst: 'Reuters reports that talks stalled.' })));
+  }],
+
+  ['Headline choice ignores publisher lean', async () => {
+    const guardian = makeItem('https://guardian.example.com/a', 'Storm closes Sydney airport for second day', { publisher: 'The Guardian' });
+    const bbc = makeItem('https://bbc.example.com/a', 'Sydney airport shut again as storm lingers', { publisher: 'BBC' });
+    assert.equal(selectBestHeadline([guardian, bbc]), guardian.title);
+    assert.equal(selectBestHeadline([bbc, guardian]), bbc.title);
+
+    // Original reporting is preferred over wire copy
+    const wire = makeItem('https://reuters.example.com/a', 'Storm shuts Sydney airport, flights cancelled', { publisher: 'Reuters Top News' });
+    assert.equal(selectBestHeadline([wire, guardian]), guardian.title);
+  }],
+
+  ['URL deduplication', async () => {
+    const clusters = clusterNewsItems([
+      makeItem('https://news.example.com/world/talks?utm_source=rss', 'Leaders meet for ceasefire talks'),
+      makeItem('https://news.example.com/world/talks', 'Leaders meet for ceasefire talks', { content: 'Longer body text' }),
+      makeItem('https://other.example.com/a', 'Unrelated market report', { canonical_url: 'https://other.example.com/canonical' }),
+      makeItem('https://other.example.com/b', 'Unrelated market report', { canonical_url: 'https://other.example.com/canonical' })
+    ]);
+    assert.equal(clusters.length, 2);
+    const talks = clusters.find(cluster => cluster.title.includes('ceasefire'))!;
+    assert.equal(talks.items.length, 1);
+    // The copy with more content wins
+    assert.equal(talks.items[0].content, 'Longer body text');
+    assert.equal(clusters.find(cluster => cluster.title.includes('market'))!.items.length, 1);
+  }],
+
+  ['Story continuity across runs', async () => {
+    const talks = makeItem('https://a.example.com/talks', 'Leaders meet in Geneva for ceasefire talks');
+    const rates = makeItem('https://b.example.com/rates', 'Central bank holds interest rates steady');
+
+    const firstRun = clusterNewsItems([talks, rates]);
+    const firstIndex = trackStories(firstRun, [], '2026-10-12T08:00:00.000Z');
+    const talksId = firstRun.find(cluster => cluster.title.includes('Geneva'))!.id;
+    assert.match(talksId, /^story_/);
+
+    // A second outlet picks up the talks, the rates story rewords its headline
+    // and the order changes; a new story appears
+    const secondRun = clusterNewsItems([
+      makeItem('https://c.example.com/quake', 'Strong earthquake strikes off the coast'),
+      makeItem('https://b.example.com/rates-2', 'Central bank holds interest rates steady again'),
+      talks,
+      makeItem('https://d.example.com/geneva', 'Leaders meet in Geneva for ceasefire talks', { source: 'Other' })
+    ]);
+    const secondIndex = trackStories(secondRun, JSON.parse(JSON.stringify(firstIndex)), '2026-10-12T12:00:00.000Z');
+
+    const talksStory = secondRun.find(cluster => cluster.title.includes('Geneva'))!;
+    assert.equal(talksStory.id, talksId);
+    assert.equal(talksStory.first_seen, '2026-10-12T08:00:00.000Z');
+    assert.equal(talksStory.last_updated, '2026-10-12T12:00:00.000Z');
+    assert.deepEqual(talksStory.coverage_history!.map(point => point.coverage), [1, 2]);
+
+    const ratesStory = secondRun.find(cluster => cluster.title.includes('rates'))!;
+    assert.equal(ratesStory.id, firstRun.find(cluster => cluster.title.includes('rates'))!.id);
+
+    const quake = secondRun.find(cluster => cluster.title.includes('earthquake'))!;
+    assert.ok(!firstRun.some(cluster => cluster.id === quake.id));
+    assert.equal(quake.first_seen, '2026-10-12T12:00:00.000Z');
+
+    // A story missing from one run keeps its ID when it comes back, until
+    // it has been gone longer than the index keeps it
+    const withoutQuake = trackStories(clusterNewsItems([talks]), secondIndex, '2026-10-12T16:00:00.000Z');
+    const [quakeAgain] = clusterNewsItems([makeItem('https://c.example.com/quake', 'Strong earthquake strikes off the coast')]);
+    trackStories([quakeAgain], withoutQuake, '2026-10-13T08:00:00.000Z');
+    assert.equal(quakeAgain.id, quake.id);
+    assert.equal(quakeAgain.first_seen, '2026-10-12T12:00:00.000Z');
+
+    const [quakeLater] = clusterNewsItems([makeItem('https://c.example.com/quake', 'Strong earthquake strikes off the coast')]);
+    trackStories([quakeLater], withoutQuake, '2026-10-20T08:00:00.000Z');
+    assert.equal(quakeLater.first_seen, '2026-10-20T08:00:00.000Z');
+  }]
+];
+
+async function run() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(error);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`${failed}/${tests.length} clustering tests failed`);
+    process.exit(1);
+  }
+  console.log(`All ${tests.length} clustering tests passed`);
+}
+
+run();
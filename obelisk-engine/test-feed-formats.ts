@@ -0,0 +1,127 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseFeed } from './src/fetcher';
+import { parseFeedDate, DateParseReport } from './src/dates';
+import { FeedSource } from './src/types';
+
+// Fixture-based checks for each feed format parseFeed understands.
+// Run with: npm run test:feeds
+
+const source: FeedSource = { name: 'Fixture', url: 'https://fixture.example.com/feed', type: 'rss', section: 'global' };
+
+async function loadFixture(name: string): Promise<string> {
+  return fs.readFile(path.join(__dirname, 'test-data', 'feeds', name), 'utf-8');
+}
+
+const tests: Array<[string, () => Promise<void>]> = [
+  ['RSS 2.0', async () => {
+    const items = parseFeed(await loadFixture('rss2.xml'), source);
+    assert.equal(items.length, 2);
+    assert.equal(items[0].title, 'Leaders meet in Geneva for ceasefire talks');
+    assert.equal(items[0].url, 'https://news.example.com/world/geneva-talks');
+    assert.equal(items[0].published_at, '2026-10-12T08:30:00.000Z');
+    assert.equal(items[0].image_url, 'https://news.example.com/img/geneva.jpg');
+    // Permalink guid stands in for a missing <link>
+    assert.equal(items[1].url, 'https://news.example.com/business/rates');
+    assert.equal(items[1].standfirst, 'The decision was widely expected.');
+    assert.equal(items[1].image_url, 'https://news.example.com/img/rates.png');
+  }],
+
+  ['RSS 1.0 (RDF)', async () => {
+    const items = parseFeed(await loadFixture('rdf.xml'), source);
+    assert.equal(items.length, 2);
+    assert.equal(items[0].title, 'German cabinet approves 2027 budget');
+    assert.equal(items[0].url, 'https://www.dw.com/en/germany-budget/a-1?maca=en-rss');
+    assert.equal(items[0].published_at, '2026-10-12T09:15:00.000Z');
+    assert.equal(items[0].feed_position, 0);
+    // rdf:about is the item URL when <link> is missing
+    assert.equal(items[1].url, 'https://www.dw.com/en/eu-summit/a-2');
+    assert.equal(items[1].published_at, '2026-10-12T06:40:00.000Z');
+  }],
+
+  ['Atom', async () => {
+    const items = parseFeed(await loadFixture('atom.xml'), source);
+    assert.equal(items.length, 2);
+    // The text/html alternate wins over replies/JSON links
+    assert.equal(items[0].url, 'https://tech.example.com/2026/10/chip');
+    assert.equal(items[0].title, 'Chipmaker unveils faster processor');
+    assert.equal(items[0].content, 'The new design doubles cache size and cuts power draw.');
+    assert.equal(items[0].published_at, '2026-10-12T09:00:00.000Z');
+    assert.equal(items[0].image_url, 'https://tech.example.com/images/chip.jpg');
+    assert.equal(items[1].url, 'https://tech.example.com/2026/10/browser');
+    assert.equal(items[1].published_at, '2026-10-12T08:00:00.000Z');
+  }],
+
+  ['JSON Feed 1.1', async () => {
+    const items = parseFeed(await loadFixture('jsonfeed.json'), source);
+    assert.equal(items.length, 2);
+    assert.equal(items[0].title, 'Flu season arrives early');
+    assert.equal(items[0].url, 'https://health.example.com/flu-season');
+    assert.equal(items[0].standfirst, 'Clinics report a rise in cases.');
+    assert.equal(items[0].content, 'Clinics report a rise in cases across the state.');
+    assert.equal(items[0].image_url, 'https://health.example.com/img/flu.jpg');
+    assert.equal(items[1].url, 'https://journal.example.org/vaccine-trial');
+    assert.equal(items[1].title, 'A phase 3 trial met its primary endpoint.');
+    assert.equal(items[1].image_url, 'https://health.example.com/img/trial.png');
+    assert.equal(items[0].published_at, '2026-10-11T19:00:00.000Z');
+  }],
+
+  ['Entities and markup', async () => {
+    const items = parseFeed(await loadFixture('entities.xml'), source);
+    assert.equal(items[0].title, 'PM’s plan — what’s in it — & why');
+    // Double-escaped HTML inside CDATA is decoded and stripped
+    assert.equal(items[0].standfirst, 'Café owners & unions respond… More to come.');
+    assert.equal(items[1].title, 'Storm warning for the coast');
+    assert.equal(items[1].standfirst, 'Residents told to prepare. Updates hourly.');
+
+    const atom = parseFeed(await loadFixture('atom-xhtml.xml'), source);
+    assert.equal(atom[0].title, 'Rates unchanged');
+    assert.equal(atom[0].content, 'The board met on Tuesday. No change was made.');
+  }],
+
+  ['Publication dates', async () => {
+    assert.equal(parseFeedDate('Mon, 12 Oct 2026 08:30:00 +1000'), '2026-10-11T22:30:00.000Z');
+    assert.equal(parseFeedDate('12 Oct 26 08:30 EST'), '2026-10-12T13:30:00.000Z');
+    assert.equal(parseFeedDate('Mon, 12 Oct 2026 08:30 AEDT'), '2026-10-11T21:30:00.000Z');
+    assert.equal(parseFeedDate('Oct 12, 2026 8:30 PM EDT'), '2026-10-13T00:30:00.000Z');
+    assert.equal(parseFeedDate('2026-10-12 09:15:00'), '2026-10-12T09:15:00.000Z');
+    assert.equal(parseFeedDate('Montag, 12. Oktober 2026 10:00 +0200'), '2026-10-12T08:00:00.000Z');
+    assert.equal(parseFeedDate('lun., 12 oct. 2026 10:00:00 +0200'), '2026-10-12T08:00:00.000Z');
+    assert.equal(parseFeedDate('Tue, 31 Feb 2026 10:00:00 GMT'), undefined);
+    assert.equal(parseFeedDate('yesterday'), undefined);
+
+    // Undated and unparseable items are flagged and reported, not passed off as fresh
+    const rss = `<rss><channel>
+      <item><title>No date</title><link>https://a.example.com/1</link></item>
+      <item><title>Bad date</title><link>https://a.example.com/2</link><pubDate>sometime soon</pubDate></item>
+    </channel></rss>`;
+    const report: DateParseReport = { missing: 0, unparseable: [] };
+    const items = parseFeed(rss, source, report);
+    assert.equal(items.every(item => item.date_estimated), true);
+    assert.equal(report.missing, 1);
+    assert.deepEqual(report.unparseable, ['sometime soon']);
+  }]
+];
+
+async function run() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(error);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`${failed}/${tests.length} feed format tests failed`);
+    process.exit(1);
+  }
+  console.log(`All ${tests.length} feed format tests passed`);
+}
+
+run();
@@ -0,0 +1,365 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FeedHealthTracker, FeedOutcome } from './src/feed-health';
+import { FeedCacheEntry } from './src/feed-cache';
+import { Cache } from './src/cache';
+import { fetchAllFeeds } from './src/fetcher';
+import { HttpClient, RobotsDisallowedError, isAllowedByRobots, parseRobotsTxt } from './src/http-client';
+import { ArticleMetadata, enrichItems, parseArticleMetadata } from './src/enrich';
+import { classifyRegion, filterItemsByRegion, REGION_CONFIGS } from './src/region';
+import { FeedSource, NewsItem } from './src/types';
+
+// Checks for the fetch side of the pipeline: the HTTP client's politeness
+// rules, feed health tracking and quarantine, caching of feed responses,
+// article page enrichment and the Australia/global region split. Nothing
+// here touches the network. Run with: npm run test:fetching
+
+const source: FeedSource = { name: 'Fixture', url: 'https://fixture.example.com/feed', type: 'rss', section: 'global' };
+
+const HOUR = 60 * 60 * 1000;
+const failure: FeedOutcome = { ok: false, status: 503, error: 'HTTP 503', itemCount: 0, latencyMs: 120 };
+const success: FeedOutcome = { ok: true, status: 200, itemCount: 12, latencyMs: 80 };
+
+class MemoryCache<T> implements Cache<T> {
+  entries = new Map<string, T>();
+  async get(key: string) { return this.entries.get(key); }
+  async set(key: string, value: T) { this.entries.set(key, value); }
+  async flush() {}
+}
+
+// Replaces the global fetch the HTTP client calls for the length of `run`
+async function withStubFetch(stub: (url: string) => Promise<Response>, run: () => Promise<void>): Promise<void> {
+  const original = globalThis.fetch;
+  globalThis.fetch = (async (input: any) => stub(String(input))) as typeof fetch;
+  try {
+    await run();
+  } finally {
+    globalThis.fetch = original;
+  }
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Stands in for the shared client
+function stubHttp(respond: (url: string) => Response): HttpClient {
+  return { fetch: async (url: string) => respond(url) } as unknown as HttpClient;
+}
+
+const ARTICLE_HTML = `<html><head>
+  <link rel="canonical" href="/news/budget-2026?utm_source=rss">
+  <meta property="og:image" content="/img/budget.jpg">
+  <meta content='The Treasurer called it a "responsible" budget.' name='og:description'>
+  <meta name="description" content="Chef's pick: not used while og:description is present">
+</head><body>
+  <nav><p>Home | World | Business | Sport | Lifestyle | Culture</p></nav>
+  <article>
+    <p>By Staff Reporter</p>
+    <p>The federal budget returns to surplus for the first time in three years, the Treasurer said.</p>
+    <p>Spending on health and housing rises, while defence outlays stay flat in real terms.</p>
+  </article>
+</body></html>`;
+
+interface RegionFixture extends NewsItem {
+  region_hints?: string[];
+}
+
+async function loadRegionFixtures(): Promise<Record<'australian' | 'global', RegionFixture[]>> {
+  const text = await fs.readFile(path.join(__dirname, 'test-data', 'region', 'items.json'), 'utf-8');
+  return JSON.parse(text);
+}
+
+function regionSource(fixture: RegionFixture, section: 'australia' | 'global'): FeedSource {
+  return { name: fixture.source, url: 'https://fixture.example.com/feed', type: 'rss', section, region_hints: fixture.region_hints };
+}
+
+// Hours between a record's last run and its quarantine retry time
+function retryHours(tracker: FeedHealthTracker): number {
+  const record = tracker.getReport().feeds[0];
+  return (new Date(record.quarantined_until!).getTime() - new Date(record.last_run).getTime()) / HOUR;
+}
+
+const tests: Array<[string, () => Promise<void>]> = [
+  ['HTTP client: robots.txt rules', async () => {
+    const robots = [
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: ActuaNewsBot',
+      'User-agent: OtherBot',
+      'Disallow: /private/',
+      'Allow: /private/press/',
+      'Disallow: /*.pdf$',
+      'Crawl-delay: 2'
+    ].join('\n');
+
+    // Our own group wins over '*'
+    const policy = parseRobotsTxt(robots, 'ActuaNewsBot');
+    assert.equal(policy.crawlDelayMs, 2000);
+    assert.equal(isAllowedByRobots(policy, '/news/story'), true);
+    assert.equal(isAllowedByRobots(policy, '/private/notes'), false);
+    // The longest matching rule wins
+    assert.equal(isAllowedByRobots(policy, '/private/press/release'), true);
+    assert.equal(isAllowedByRobots(policy, '/report.pdf'), false);
+    assert.equal(isAllowedByRobots(policy, '/report.pdf?download=1'), true);
+    assert.equal(isAllowedByRobots(parseRobotsTxt(robots, 'SomeoneElse'), '/news/story'), false);
+
+    const requested: string[] = [];
+    await withStubFetch(async url => {
+      requested.push(url);
+      return new Response(url.endsWith('/robots.txt') ? 'User-agent: *\nDisallow: /private/' : 'page');
+    }, async () => {
+      const http = new HttpClient();
+      assert.equal((await http.fetch('https://news.example.com/story')).status, 200);
+      await assert.rejects(http.fetch('https://news.example.com/private/notes'), RobotsDisallowedError);
+    });
+    // robots.txt is fetched once per origin
+    assert.deepEqual(requested, ['https://news.example.com/robots.txt', 'https://news.example.com/story']);
+  }],
+
+  ['HTTP client: per-host and global concurrency caps', async () => {
+    const activeByHost = new Map<string, number>();
+    let active = 0;
+    let maxActive = 0;
+    let maxPerHost = 0;
+
+    await withStubFetch(async url => {
+      const host = new URL(url).host;
+      active++;
+      activeByHost.set(host, (activeByHost.get(host) ?? 0) + 1);
+      maxActive = Math.max(maxActive, active);
+      maxPerHost = Math.max(maxPerHost, activeByHost.get(host)!);
+      await sleep(20);
+      active--;
+      activeByHost.set(host, activeByHost.get(host)! - 1);
+      return new Response('ok');
+    }, async () => {
+      const http = new HttpClient({ maxConcurrent: 3, maxPerHost: 2 });
+      const urls = ['a', 'b'].flatMap(host => [1, 2, 3, 4].map(n => `https://${host}.example.com/${n}`));
+      const responses = await Promise.all(urls.map(url => http.fetch(url, { checkRobots: false })));
+      assert.equal(responses.length, 8);
+    });
+    assert.equal(maxActive, 3);
+    assert.equal(maxPerHost, 2);
+  }],
+
+  ['HTTP client: retries honour Retry-After', async () => {
+    const attempts: number[] = [];
+    await withStubFetch(async () => {
+      attempts.push(Date.now());
+      return attempts.length === 1
+        ? new Response('busy', { status: 503, headers: { 'retry-after': '1' } })
+        : new Response('ok');
+    }, async () => {
+      const response = await new HttpClient({ baseDelayMs: 10 }).fetch('https://news.example.com/feed', { checkRobots: false });
+      assert.equal(response.status, 200);
+    });
+    assert.equal(attempts.length, 2);
+    assert.ok(attempts[1] - attempts[0] >= 1000, `retried after ${attempts[1] - attempts[0]}ms`);
+
+    // Once retries run out the last response is returned, not thrown
+    let calls = 0;
+    await withStubFetch(async () => {
+      calls++;
+      return new Response('busy', { status: 429, headers: { 'retry-after': '0' } });
+    }, async () => {
+      const response = await new HttpClient({ maxRetries: 1 }).fetch('https://news.example.com/feed', { checkRobots: false });
+      assert.equal(response.status, 429);
+    });
+    assert.equal(calls, 2);
+  }],
+
+  ['HTTP client: keeps the final URL and null-body statuses', async () => {
+    await withStubFetch(async url => {
+      if (url.endsWith('/reset')) return new Response(null, { status: 205 });
+      // As fetch reports a redirected response
+      const response = new Response('<html></html>', { headers: { 'content-type': 'text/html' } });
+      Object.defineProperty(response, 'url', { value: 'https://news.example.com/2026/10/real-article' });
+      return response;
+    }, async () => {
+      const http = new HttpClient();
+      const redirected = await http.fetch('https://feeds.example.com/click?id=1', { checkRobots: false });
+      assert.equal(redirected.url, 'https://news.example.com/2026/10/real-article');
+      assert.equal(await redirected.text(), '<html></html>');
+
+      const reset = await http.fetch('https://news.example.com/reset', { checkRobots: false });
+      assert.equal(reset.status, 205);
+      assert.equal(await reset.text(), '');
+    });
+  }],
+
+  ['Feed health: quarantine after N consecutive failures', async () => {
+    const tracker = new FeedHealthTracker(null, { quarantineAfter: 3 });
+    tracker.record(source, failure);
+    tracker.record(source, failure);
+    assert.equal(tracker.shouldFetch(source), true);
+    assert.deepEqual(tracker.getReport().quarantined, []);
+
+    tracker.record(source, failure);
+    const report = tracker.getReport();
+    assert.deepEqual(report.quarantined, ['Fixture']);
+    assert.equal(report.feeds[0].consecutive_failures, 3);
+    assert.equal(report.feeds[0].total_failures, 3);
+    assert.equal(tracker.shouldFetch(source), false);
+    // Due again once the retry time comes round
+    assert.equal(tracker.shouldFetch(source, Date.now() + 25 * HOUR), true);
+  }],
+
+  ['Feed health: retry delay doubles up to the cap', async () => {
+    const tracker = new FeedHealthTracker(null, { quarantineAfter: 2, baseRetryHours: 24, maxRetryHours: 72 });
+    tracker.record(source, failure);
+    tracker.record(source, failure);
+    assert.equal(retryHours(tracker), 24);
+    tracker.record(source, failure);
+    assert.equal(retryHours(tracker), 48);
+    tracker.record(source, failure);
+    assert.equal(retryHours(tracker), 72);
+    tracker.record(source, failure);
+    assert.equal(retryHours(tracker), 72);
+  }],
+
+  ['Feed health: a success releases the feed', async () => {
+    const tracker = new FeedHealthTracker(null, { quarantineAfter: 1 });
+    tracker.record(source, failure);
+    assert.equal(tracker.shouldFetch(source), false);
+
+    // A previous run's report carries the quarantine over
+    const restored = new FeedHealthTracker(tracker.getReport(), { quarantineAfter: 1 });
+    assert.equal(restored.shouldFetch(source), false);
+
+    restored.record(source, success);
+    const report = restored.getReport();
+    assert.equal(restored.shouldFetch(source), true);
+    assert.deepEqual(report.quarantined, []);
+    assert.equal(report.feeds[0].consecutive_failures, 0);
+    assert.equal(report.feeds[0].total_failures, 1);
+    assert.equal(report.feeds[0].total_runs, 2);
+    assert.ok(report.feeds[0].last_success);
+  }],
+
+  ['Undated items on a feed without an ETag age out', async () => {
+    const rss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Fixture</title>
+      <item><title>Undated story about the budget</title><link>https://fixture.example.com/undated</link></item>
+    </channel></rss>`;
+    const cache = new MemoryCache<FeedCacheEntry>();
+    const http = stubHttp(() => new Response(rss, { status: 200 }));
+
+    const firstRun = await fetchAllFeeds([source], { cache, http });
+    assert.equal(firstRun.length, 1);
+    assert.equal(firstRun[0].date_estimated, true);
+
+    // Later runs keep the first-seen time instead of stamping the item anew
+    const secondRun = await fetchAllFeeds([source], { cache, http });
+    assert.equal(secondRun[0].published_at, firstRun[0].published_at);
+    const entry = cache.entries.get(source.url)!;
+    assert.equal(entry.etag, undefined);
+    assert.equal(entry.first_seen!['https://fixture.example.com/undated'], firstRun[0].published_at);
+
+    // Once it was first seen more than 48 hours ago the cutoff drops it
+    entry.first_seen!['https://fixture.example.com/undated'] = new Date(Date.now() - 72 * HOUR).toISOString();
+    assert.deepEqual(await fetchAllFeeds([source], { cache, http }), []);
+  }],
+
+  ['Article metadata from a page', async () => {
+    const metadata = parseArticleMetadata(ARTICLE_HTML, 'https://news.example.com/world/budget');
+    assert.equal(metadata.canonical_url, 'https://news.example.com/news/budget-2026');
+    assert.equal(metadata.image_url, 'https://news.example.com/img/budget.jpg');
+    // Quotes of the other kind inside a value don't end it
+    assert.equal(metadata.description, 'The Treasurer called it a "responsible" budget.');
+    assert.equal(metadata.lead, 'The federal budget returns to surplus for the first time in three years, the Treasurer said. Spending on health and housing rises, while defence outlays stay flat in real terms.');
+
+    const reordered = parseArticleMetadata(`<meta content="Chef's pick" name="description">`, 'https://news.example.com/');
+    assert.equal(reordered.description, "Chef's pick");
+  }],
+
+  ['Enrichment fills items from their pages and caches the result', async () => {
+    const requested: string[] = [];
+    const http = stubHttp(url => {
+      requested.push(url);
+      return url.endsWith('/budget')
+        ? new Response(ARTICLE_HTML, { status: 200, headers: { 'content-type': 'text/html; charset=utf-8' } })
+        : new Response('Service Unavailable', { status: 503 });
+    });
+    const cache = new MemoryCache<ArticleMetadata>();
+    const items: NewsItem[] = [
+      { source: 'Fixture', url: 'https://news.example.com/world/budget', title: 'Budget returns to surplus', published_at: '2026-10-12T08:00:00.000Z', content: 'Teaser.' },
+      { source: 'Fixture', url: 'https://news.example.com/world/down', title: 'Page that is down', published_at: '2026-10-12T08:00:00.000Z' }
+    ];
+
+    const enriched = await enrichItems(items, { cache, http });
+    assert.equal(enriched[0].canonical_url, 'https://news.example.com/news/budget-2026');
+    assert.equal(enriched[0].standfirst, 'The Treasurer called it a "responsible" budget.');
+    assert.ok(enriched[0].content!.startsWith('The federal budget returns to surplus'));
+    assert.deepEqual(enriched[1], items[1]);
+    assert.equal(items[0].content, 'Teaser.'); // Originals untouched
+    assert.equal(cache.entries.get(items[1].url)!.failed, true);
+
+    // Within the failure TTL neither page is fetched again
+    await enrichItems(items, { cache, http });
+    assert.equal(requested.length, 2);
+
+    // Once it has passed, only the failed page is retried
+    cache.entries.get(items[1].url)!.fetched_at = new Date(Date.now() - 4 * HOUR).toISOString();
+    await enrichItems(items, { cache, http });
+    assert.deepEqual(requested.slice(2), ['https://news.example.com/world/down']);
+  }],
+
+  ['Region: fixtures classify either side of the threshold', async () => {
+    const fixtures = await loadRegionFixtures();
+    const threshold = REGION_CONFIGS.australia.threshold!;
+    for (const fixture of fixtures.australian) {
+      const { score, signals } = classifyRegion(fixture, regionSource(fixture, 'australia'));
+      assert.ok(score >= threshold, `"${fixture.title}" scored ${score.toFixed(2)} (${signals.join(' ')})`);
+    }
+    for (const fixture of fixtures.global) {
+      const { score, signals } = classifyRegion(fixture, regionSource(fixture, 'global'));
+      assert.ok(score < threshold, `"${fixture.title}" scored ${score.toFixed(2)} (${signals.join(' ')})`);
+    }
+  }],
+
+  ['Region: names, institutions and acronyms match case-sensitively', async () => {
+    const fixtures = await loadRegionFixtures();
+    const signals = (title: string) => classifyRegion({ ...fixtures.global[0], title, standfirst: '' }, regionSource(fixtures.global[0], 'global')).signals;
+    assert.deepEqual(signals('Victoria Beckham backs labor unions'), []);
+    assert.deepEqual(signals('Voters act on climate'), []);
+    assert.deepEqual(signals('Labor wins in Victoria'), ['title:au(Victoria, Labor)']);
+    assert.deepEqual(signals('Bushfire threat rises in the ACT'), ['title:au(ACT)']);
+  }],
+
+  ['Region: each section keeps its own side of the split', async () => {
+    const fixtures = await loadRegionFixtures();
+    for (const section of ['australia', 'global'] as const) {
+      for (const [group, items] of Object.entries(fixtures)) {
+        const keep = (group === 'australian') === (section === 'australia');
+        for (const fixture of items) {
+          const kept = filterItemsByRegion([fixture], regionSource(fixture, section));
+          assert.equal(kept.length, keep ? 1 : 0, `${section} ${keep ? 'dropped' : 'kept'} "${fixture.title}"`);
+        }
+      }
+    }
+  }]
+];
+
+async function run() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(error);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`${failed}/${tests.length} fetching tests failed`);
+    process.exit(1);
+  }
+  console.log(`All ${tests.length} fetching tests passed`);
+}
+
+run();
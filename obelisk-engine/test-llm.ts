@@ -0,0 +1,338 @@
+import assert from 'assert/strict';
+import { GeminiProvider, LLMRouter, LLMProvider, LLMProviderError, MockProvider, createProviders, parseLLMConfig } from './src/llm';
+import { generateBatchAISummaries, summaryCacheKey, CachedSummary, SummaryCache } from './src/normalize';
+import { validateBatchResponse } from './src/summary-schema';
+import { verifySummary } from './src/faithfulness';
+import { estimateTokens, fairShares, packItemsText, truncateToTokens } from './src/tokens';
+import llmConfig from './src/config/llm.json';
+
+// Checks for the LLM provider layer in src/llm.ts. No network calls: the
+// providers under test are the mock and stubs that fail on demand.
+// Run with: npm run test:llm
+
+const LIMITS = { maxConcurrent: 2, requestsPerMinute: 6000, contextTokens: 32000, maxOutputTokens: 8192 };
+
+function failingProvider(name: string, status: number, retryAfter?: number): LLMProvider & { calls: number } {
+  return {
+    name,
+    model: 'stub',
+    calls: 0,
+    async complete() {
+      this.calls++;
+      throw new LLMProviderError(name, `API error ${status}`, status, retryAfter);
+    }
+  };
+}
+
+const BULLETS = ['First bullet', 'Second bullet', 'Third bullet'];
+
+function makeClusters(...ids: string[]): any[] {
+  return ids.map(id => ({ id, items: [{ source: 'BBC', url: `https://bbc.example.com/${id}`, title: `Headline for ${id}`, standfirst: `Details of ${id}.` }] }));
+}
+
+function memoryCache(): SummaryCache & { entries: Map<string, CachedSummary> } {
+  const entries = new Map<string, CachedSummary>();
+  return {
+    entries,
+    async get(key) { return entries.get(key); },
+    async set(key, value) { entries.set(key, value); },
+    async flush() {}
+  };
+}
+
+// Cluster IDs in the order the prompt lists them
+function promptIds(prompt: string): string[] {
+  return [...prompt.matchAll(/^## CLUSTER (\S+):$/gm)].map(match => match[1]);
+}
+
+const tests: Array<[string, () => Promise<void>]> = [
+  ['Fails over to the next provider', async () => {
+    const broken = failingProvider('groq', 401);
+    const mock = new MockProvider(() => 'fallback text');
+    const router = new LLMRouter([{ provider: broken, limits: LIMITS }, { provider: mock, limits: LIMITS }]);
+
+    const first = await router.complete({ prompt: 'hello', maxTokens: 10 });
+    assert.deepEqual(first, { text: 'fallback text', truncated: false, provider: 'mock', model: 'mock' });
+
+    // The failed provider is skipped from then on rather than retried per request
+    await router.complete({ prompt: 'again', maxTokens: 10 });
+    assert.equal(broken.calls, 1);
+    assert.equal(mock.requests.length, 2);
+  }],
+
+  ['Fails over instead of waiting out a long Retry-After', async () => {
+    const limited = failingProvider('groq', 429, 120);
+    const mock = new MockProvider(() => 'fallback text');
+    const router = new LLMRouter([{ provider: limited, limits: LIMITS }, { provider: mock, limits: LIMITS }]);
+
+    const started = Date.now();
+    const result = await router.complete({ prompt: 'hello', maxTokens: 10 });
+    assert.equal(result.provider, 'mock');
+    assert.equal(limited.calls, 1);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+  }],
+
+  ['Gemini asks for JSON when the request does', async () => {
+    const bodies: any[] = [];
+    const original = globalThis.fetch;
+    globalThis.fetch = (async (_url: any, init: any) => {
+      bodies.push(JSON.parse(init.body));
+      return new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: '{}' }] }, finishReason: 'STOP' }] }));
+    }) as typeof fetch;
+    try {
+      const gemini = new GeminiProvider('gemini-2.5-flash', 'key');
+      await gemini.complete({ prompt: 'hello', maxTokens: 10, json: true });
+      await gemini.complete({ prompt: 'hello', maxTokens: 10 });
+    } finally {
+      globalThis.fetch = original;
+    }
+    assert.equal(bodies[0].generationConfig.responseMimeType, 'application/json');
+    assert.equal(bodies[1].generationConfig.responseMimeType, undefined);
+  }],
+
+  ['Reports every failure when no provider succeeds', async () => {
+    const router = new LLMRouter([
+      { provider: failingProvider('groq', 401), limits: LIMITS },
+      { provider: failingProvider('gemini', 403), limits: LIMITS }
+    ]);
+    await assert.rejects(
+      router.complete({ prompt: 'hello', maxTokens: 10 }),
+      (error: Error) => error.message.includes('groq: API error 401') && error.message.includes('gemini: API error 403')
+    );
+  }],
+
+  ['Providers come from config order and available keys', async () => {
+    const names = (env: Record<string, string>) =>
+      createProviders({ GROQ_KEY: '', GEMINI_API_KEY: '', OPENAI_API_KEY: '', LLM_PROVIDERS: '', ...env }).map(({ provider }) => provider.name);
+
+    assert.deepEqual(names({}), []);
+    assert.deepEqual(names({ GEMINI_API_KEY: 'key', GROQ_KEY: 'key' }), ['groq', 'gemini']);
+    assert.deepEqual(names({ GEMINI_API_KEY: 'key', GROQ_KEY: 'key', LLM_PROVIDERS: 'gemini, groq' }), ['gemini', 'groq']);
+    assert.deepEqual(names({ LLM_PROVIDERS: 'mock' }), ['mock']);
+
+    const [{ provider, limits }] = createProviders({ GROQ_KEY: 'key', GROQ_MODEL: 'llama-3.1-8b-instant', LLM_PROVIDERS: 'groq' });
+    assert.equal(provider.model, 'llama-3.1-8b-instant');
+    assert.equal(limits.requestsPerMinute, llmConfig.providers.groq.requests_per_minute);
+    assert.equal(limits.dailyRequests, llmConfig.providers.groq.daily_requests);
+  }],
+
+  ['Batch summaries run offline with the mock provider', async () => {
+    const clusters = [
+      { id: 'a', items: [{ source: 'BBC', title: 'Storm closes Sydney airport', standfirst: 'Flights are cancelled.' }] },
+      { id: 'b', items: [{ source: 'newsGP', title: 'RACGP updates vaccine guidance', standfirst: 'New advice for GPs.' }] }
+    ] as any[];
+    await generateBatchAISummaries(clusters, { LLM_PROVIDERS: 'mock' });
+
+    assert.equal(clusters[0].neutral_headline, 'Storm closes Sydney airport');
+    assert.equal(clusters[0].ai_summary.length, 3);
+    // newsGP clusters keep their own headline
+    assert.equal(clusters[1].neutral_headline, undefined);
+    assert.equal(clusters[1].ai_summary.length, 3);
+  }],
+
+  ['Batch entries are matched by ID, not position', async () => {
+    const response = JSON.stringify({
+      clusters: [
+        { id: 'story_b', headline: 'B happened.', summary: BULLETS },
+        { id: 'story_x', headline: 'Not requested', summary: BULLETS },
+        { id: 'story_a', headline: 'A happened', summary: ['Too short'] },
+        { id: 'story_c', headline: 'C happened', summary: BULLETS },
+        { id: 'story_c', headline: 'C again', summary: BULLETS }
+      ]
+    });
+    const { summaries, problems } = validateBatchResponse('```json\n' + response + '\n```', ['story_a', 'story_b', 'story_c', 'story_d']);
+
+    assert.deepEqual([...summaries.keys()], ['story_b']);
+    assert.deepEqual(summaries.get('story_b'), { headline: 'B happened', summary: BULLETS });
+    assert.match(problems.get('story_a')!, /3 to 5 bullets/);
+    assert.equal(problems.get('story_c'), 'returned more than once');
+    assert.equal(problems.get('story_d'), 'missing from the response');
+    assert.match(validateBatchResponse('CLUSTER 1: HEADLINE: A', ['story_a']).problems.get('story_a')!, /not valid JSON/);
+  }],
+
+  ['Missing or malformed entries are re-asked, then rejected', async () => {
+    const prompts: string[] = [];
+    const provider = new MockProvider(request => {
+      prompts.push(request.prompt);
+      // story_b is skipped the first time; story_c never gets a valid summary
+      const ids = promptIds(request.prompt).filter(id => prompts.length > 1 || id !== 'story_b');
+      return JSON.stringify({
+        clusters: ids.map(id => ({ id, headline: `Neutral ${id}`, summary: id === 'story_c' ? ['Only one'] : BULLETS.map(bullet => `${bullet} of ${id}`) }))
+      });
+    });
+    const router = new LLMRouter([{ provider, limits: LIMITS }]);
+    const clusters = makeClusters('story_a', 'story_b', 'story_c');
+    await generateBatchAISummaries(clusters, {}, { router });
+
+    assert.equal(prompts.length, 2);
+    assert.deepEqual(promptIds(prompts[1]), ['story_b', 'story_c']);
+    assert.match(prompts[1], /- story_b: missing from the response/);
+    assert.equal(clusters[0].ai_summary[0], 'First bullet of story_a');
+    assert.equal(clusters[1].neutral_headline, 'Neutral story_b');
+    assert.equal(clusters[1].ai_summary[0], 'First bullet of story_b');
+    assert.equal(clusters[2].ai_summary, undefined);
+    assert.equal(clusters[2].neutral_headline, undefined);
+  }],
+
+  ['Unchanged clusters reuse cached summaries', async () => {
+    const provider = new MockProvider();
+    const router = new LLMRouter([{ provider, limits: LIMITS }]);
+    const cache = memoryCache();
+
+    await generateBatchAISummaries(makeClusters('story_a', 'story_b'), {}, { router, cache });
+    assert.equal(provider.requests.length, 1);
+    assert.equal(cache.entries.size, 2);
+
+    // Same articles next run (title case and punctuation edits don't count); story_b gains an article
+    const next = makeClusters('story_a', 'story_b');
+    next[0].items[0].title = 'HEADLINE for story_a!';
+    next[1].items.push({ source: 'ABC News', url: 'https://abc.example.com/b', title: 'More on story_b' });
+    await generateBatchAISummaries(next, {}, { router, cache });
+
+    assert.equal(provider.requests.length, 2);
+    assert.deepEqual(promptIds(provider.requests[1].prompt), ['story_b']);
+    assert.equal(next[0].neutral_headline, 'Headline for story_a');
+    assert.equal(next[0].ai_summary.length, 3);
+    assert.equal(summaryCacheKey(next[0]), summaryCacheKey(makeClusters('story_a')[0]));
+    assert.notEqual(summaryCacheKey(next[1]), summaryCacheKey(makeClusters('story_b')[0]));
+  }],
+
+  ['Bullets are checked against the sources', async () => {
+    const items = [
+      {
+        source: 'ABC News', url: 'https://abc.example.com/a', published_at: '', title: 'Reserve Bank cuts cash rate to 3.6 per cent',
+        standfirst: 'Treasurer Jim Chalmers welcomed the decision, saying "relief is on the way for mortgage holders".',
+        content: 'The Reserve Bank of Australia lowered the cash rate on Tuesday. Governor Michele Bullock said inflation had eased to 2.1%.'
+      },
+      { source: 'SMH', url: 'https://smh.example.com/b', published_at: '', title: 'RBA delivers rate cut', standfirst: 'Borrowers with a $600,000 loan will save about $90 a month.' }
+    ];
+    const supported = [
+      'The Reserve Bank of Australia cuts the cash rate to 3.6% on Tuesday.',
+      'Chalmers says "relief is on the way for mortgage holders".',
+      'Michele Bullock says inflation has eased to 2.1 per cent.'
+    ];
+    const result = verifySummary([
+      ...supported,
+      'Sussan Ley calls the cut "too little, far too late for families".',
+      'The cut will cost the budget $5 billion over four years.'
+    ], items);
+
+    assert.deepEqual(result.bullets, supported);
+    assert.deepEqual(result.checks[3].unsupported, ['Sussan Ley', '"too little, far too late for families"']);
+    assert.deepEqual(result.checks[4].unsupported, ['$5 billion']);
+    assert.ok(result.confidence > 0.5 && result.confidence < 0.8);
+    assert.equal(verifySummary(supported, items).confidence, 1);
+  }],
+
+  ['Numbers, roles and plain names are checked fairly', async () => {
+    const items = [{
+      source: 'ABC News', url: 'https://abc.example.com/a', published_at: '', title: 'Government unveils 2 billion dollars housing fund',
+      standfirst: 'Sussan Ley said the plan came too late, and the opposition will vote against it.',
+      content: 'The bill was introduced on Tuesday.'
+    }];
+    const result = verifySummary([
+      // The same amount written differently
+      'The Government commits $2 billion to a housing fund.',
+      // Roles and common nouns aren't names that need a source
+      'Opposition Leader Sussan Ley says the plan came too late.',
+      'The Coalition will vote against the bill.',
+      'The bill was introduced on Tuesday.',
+      // Capitalised names the sources never mention are claims too
+      'The bill passed Parliament in March.'
+    ], items);
+
+    assert.deepEqual(result.checks.map(check => check.unsupported), [[], [], [], [], ['Parliament', 'March']]);
+    assert.deepEqual(result.checks.map(check => check.claims), [1, 1, 0, 1, 2]);
+    assert.equal(result.bullets.length, 4);
+  }],
+
+  ['Unsupported bullets are dropped before publishing', async () => {
+    const provider = new MockProvider(request => JSON.stringify({
+      clusters: promptIds(request.prompt).map(id => ({
+        id,
+        headline: `Neutral ${id}`,
+        summary: [`Details of ${id}`, 'Officials met 14 times this week', 'More talks are expected']
+      }))
+    }));
+    const clusters = makeClusters('story_a');
+    await generateBatchAISummaries(clusters, {}, { router: new LLMRouter([{ provider, limits: LIMITS }]) });
+
+    assert.deepEqual(clusters[0].ai_summary, ['Details of story_a', 'More talks are expected']);
+    assert.equal(clusters[0].summary_confidence, 0);
+  }],
+
+  ['Text is cut at sentence boundaries and shared fairly', async () => {
+    const text = 'The first sentence is short. The second sentence is a little longer than that. A third one follows.';
+    assert.equal(truncateToTokens(text, 20), 'The first sentence is short. The second sentence is a little longer than that.');
+    assert.equal(truncateToTokens(text, 5), 'The first sentence…');
+    assert.equal(truncateToTokens(text, 100), text);
+
+    assert.deepEqual(fairShares([10, 100, 100], 110), [10, 50, 50]);
+    assert.deepEqual(fairShares([10, 20], 100), [10, 20]);
+
+    // A long first article doesn't crowd out the others
+    const long = 'Officials said the storm had passed. '.repeat(60);
+    const packed = packItemsText([
+      { source: 'BBC', url: 'https://bbc.example.com/a', published_at: '', title: 'Storm passes', standfirst: long },
+      { source: 'ABC News', url: 'https://abc.example.com/b', published_at: '', title: 'Clean-up begins', standfirst: 'Crews cleared roads overnight.' }
+    ], 120);
+    assert.ok(estimateTokens(packed) <= 120);
+    assert.match(packed, /\[ABC News\] Clean-up begins: Crews cleared roads overnight\.$/);
+    assert.match(packed, /^\[BBC\] Storm passes: (Officials said the storm had passed\. ?)+\n/);
+  }],
+
+  ['Batches are packed to the token budget and split when truncated', async () => {
+    const requests: Array<{ clusters: number; tokens: number }> = [];
+    const provider = new MockProvider(request => {
+      const ids = promptIds(request.prompt);
+      requests.push({ clusters: ids.length, tokens: estimateTokens(request.prompt) + request.maxTokens });
+      // Only answers of up to two clusters fit
+      if (ids.length > 2) return { text: '{"clusters": [{"id": "' + ids[0] + '", "headline": "Cut', truncated: true };
+      return JSON.stringify({ clusters: ids.map(id => ({ id, headline: `Neutral ${id}`, summary: [`Details of ${id}`, 'Second bullet', 'Third bullet'] })) });
+    });
+    const limits = { ...LIMITS, contextTokens: 2500 };
+    const clusters = makeClusters('s1', 's2', 's3', 's4', 's5', 's6', 's7', 's8');
+    await generateBatchAISummaries(clusters, {}, { router: new LLMRouter([{ provider, limits }]) });
+
+    // Two batches within the budget, then truncated ones halved until the answers fit
+    assert.equal(requests[0].clusters + requests[1].clusters, 8);
+    assert.ok(requests.every(request => request.tokens <= limits.contextTokens));
+    assert.equal(requests.filter(request => request.clusters <= 2).reduce((sum, request) => sum + request.clusters, 0), 8);
+    assert.ok(clusters.every(cluster => cluster.ai_summary?.length === 3));
+  }],
+
+  ['Invalid config reports every problem', async () => {
+    assert.throws(
+      () => parseLLMConfig({
+        order: ['groq', 'claude'],
+        providers: { groq: { model: '', max_concurrent: 0, requests_per_minute: 30 } }
+      }),
+      (error: Error) =>
+        error.message.includes('"order" names "claude"') &&
+        error.message.includes('providers["groq"]: "model" must be a non-empty string') &&
+        error.message.includes('providers["groq"]: "max_concurrent" must be a positive integer')
+    );
+  }]
+];
+
+async function run() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(error);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`${failed}/${tests.length} LLM tests failed`);
+    process.exit(1);
+  }
+  console.log(`All ${tests.length} LLM tests passed`);
+}
+
+run();
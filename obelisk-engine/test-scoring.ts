@@ -0,0 +1,144 @@
+import assert from 'assert/strict';
+import { scoreCluster, parseScoringConfig, sectionOrderings, SCORING_CONFIG } from './src/popularity';
+import scoringRules from './src/config/scoring.json';
+import { NewsItem, NewsCluster } from './src/types';
+
+// Checks for the config-driven popularity scoring in src/popularity.ts.
+// Run with: npm run test:scoring
+
+const NOW = Date.parse('2026-10-12T12:00:00.000Z');
+
+function makeCluster(titles: string[], extra: Partial<NewsItem> = {}, hoursOld: number = 0): NewsCluster {
+  const publishedAt = new Date(NOW - hoursOld * 60 * 60 * 1000).toISOString();
+  const items = titles.map((title, index) => ({
+    source: `Source ${index}`,
+    url: `https://s${index}.example.com/story`,
+    title,
+    published_at: publishedAt,
+    ...extra
+  }));
+  return { id: 'cluster_0', coverage: items.length, updated_at: publishedAt, title: titles[0], items };
+}
+
+function factors(cluster: NewsCluster, section: string, config = SCORING_CONFIG): string[] {
+  return scoreCluster(cluster, section, { now: NOW, trustedSources: [], config }).breakdown.map(component => component.factor);
+}
+
+const tests: Array<[string, () => Promise<void>]> = [
+  ['Keyword rules match whole words', async () => {
+    assert.ok(!factors(makeCluster(['Officials said the main road will reopen']), 'technology').includes('rule: ai'));
+    assert.ok(factors(makeCluster(['OpenAI ships a new AI model']), 'technology').includes('rule: ai'));
+    assert.ok(factors(makeCluster(['Interest rates held as housing cools']), 'australia').includes('rule: economy'));
+    // Pattern rules: "hackers" counts, "shackles" doesn't
+    assert.ok(factors(makeCluster(['Hackers breach airline systems']), 'technology').includes('rule: security'));
+    assert.ok(!factors(makeCluster(['Regulators throw off the shackles']), 'technology').includes('rule: security'));
+    // Section scoping
+    assert.ok(!factors(makeCluster(['OpenAI ships a new AI model']), 'australia').includes('rule: ai'));
+    assert.ok(factors(makeCluster(['Sport funding cut']), 'technology').includes('rule: off-topic sport'));
+    assert.ok(!factors(makeCluster(['Sport funding cut']), 'australia').includes('rule: off-topic sport'));
+  }],
+
+  ['Breakdown explains the score', async () => {
+    const cluster = makeCluster(['Exclusive: Apple and Google sign AI security deal in Sydney'], { feed_position: 2 }, 5);
+    const { score, breakdown } = scoreCluster(cluster, 'technology', { now: NOW, trustedSources: ['Source 0'] });
+    const points = new Map(breakdown.map(component => [component.factor, component.points]));
+
+    assert.equal(points.get('coverage: single source'), 100);
+    assert.equal(points.get('feed position 3'), 180);
+    assert.equal(points.get('trusted source'), 30);
+    assert.equal(points.get('rule: ai'), 15);
+    assert.equal(points.get('rule: big tech'), 12);
+    assert.equal(points.get('recency'), 15);
+    assert.equal(score, breakdown.reduce((sum, component) => sum + component.points, 0));
+  }],
+
+  ['Coverage outranks content signals', async () => {
+    const single = makeCluster(['Exclusive: Apple and Google sign AI security deal'], { feed_position: 0 });
+    const multi = makeCluster(['Council approves budget', 'Council passes budget'], {}, 24);
+    const options = { now: NOW, trustedSources: ['Source 0'] };
+    assert.ok(scoreCluster(multi, 'technology', options).score > scoreCluster(single, 'technology', options).score);
+    assert.equal(scoreCluster(multi, 'technology', options).breakdown[0].factor, 'coverage: 2 publishers');
+  }],
+
+  ['Section weights and recency curves', async () => {
+    const config = parseScoringConfig({
+      ...scoringRules,
+      recency: { curve: 'exponential', points: 40, hours: 6 },
+      section_weights: { technology: { rules: 2 } }
+    });
+    const points = (section: string) => new Map(
+      scoreCluster(makeCluster(['OpenAI ships a new AI model'], {}, 6), section, { now: NOW, trustedSources: [], config })
+        .breakdown.map(component => [component.factor, component.points])
+    );
+    assert.equal(points('technology').get('rule: ai'), 30);
+    // One half-life old
+    assert.equal(points('technology').get('recency'), 20);
+  }],
+
+  ['Trending favours fast-growing stories', async () => {
+    const hoursAgo = (hours: number) => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+
+    // Four outlets over two days, nothing new today
+    const steady = makeCluster(['Budget talks', 'Budget talks', 'Budget talks', 'Budget talks'], {}, 10);
+    steady.id = 'steady';
+    steady.first_seen = hoursAgo(48);
+    steady.coverage_history = [{ at: hoursAgo(48), coverage: 1 }, { at: hoursAgo(30), coverage: 3 }, { at: hoursAgo(10), coverage: 4 }];
+
+    // Three outlets in the last hour
+    const breaking = makeCluster(['Quake strikes', 'Quake strikes', 'Quake strikes'], {}, 0.5);
+    breaking.id = 'breaking';
+    breaking.first_seen = hoursAgo(1);
+    breaking.coverage_history = [{ at: hoursAgo(1), coverage: 3 }];
+
+    // Picked up by a second outlet three hours ago, after a day of one
+    const growing = makeCluster(['Port strike', 'Port strike'], {}, 3);
+    growing.id = 'growing';
+    growing.first_seen = hoursAgo(24);
+    growing.coverage_history = [{ at: hoursAgo(24), coverage: 1 }, { at: hoursAgo(3), coverage: 2 }];
+
+    const orderings = sectionOrderings([steady, growing, breaking], { now: NOW });
+    assert.deepEqual(orderings.trending, ['breaking', 'growing', 'steady']);
+    assert.deepEqual(orderings.most_covered, ['steady', 'breaking', 'growing']);
+    assert.deepEqual(orderings.latest, ['breaking', 'growing', 'steady']);
+    assert.equal(steady.trending_score, 0);
+    // Three publishers in an hour, slightly decayed
+    assert.ok(breaking.trending_score! > 2.5 && breaking.trending_score! < 3);
+  }],
+
+  ['Invalid config reports every problem', async () => {
+    assert.throws(
+      () => parseScoringConfig({
+        ...scoringRules,
+        recency: { curve: 'cubic', points: 20, hours: 20 },
+        rules: [{ name: 'broken', keywords: 'ai', points: 'lots' }, { name: 'bad pattern', pattern: '(', points: 1 }]
+      }),
+      (error: Error) =>
+        error.message.includes('recency.curve') &&
+        error.message.includes('rules[0] (broken): "points" must be a number') &&
+        error.message.includes('rules[0] (broken): "keywords" must be an array') &&
+        error.message.includes('rules[1] (bad pattern): invalid pattern')
+    );
+  }]
+];
+
+async function run() {
+  let failed = 0;
+  for (const [name, test] of tests) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}`);
+      console.error(error);
+    }
+  }
+
+  if (failed > 0) {
+    console.error(`${failed}/${tests.length} scoring tests failed`);
+    process.exit(1);
+  }
+  console.log(`All ${tests.length} scoring tests passed`);
+}
+
+run();
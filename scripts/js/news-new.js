@@ -827,6 +827,9 @@ function switchTab(tab, event) {
     window.newsApp.currentTab = tab;
 }
 
+// Briefs below this summary_confidence get a note in the modal
+const LOW_SUMMARY_CONFIDENCE = 0.7;
+
 function openModal(clusterId) {
     const cluster = window.newsApp.clusterData[clusterId];
     if (!cluster) {
@@ -883,6 +886,10 @@ function openModal(clusterId) {
                 briefHTML += `<li>${window.newsApp.escapeHtml(point)}</li>`;
             });
             briefHTML += '</ol>';
+            // summary_confidence: share of the brief's names, numbers and quotes found in the sources
+            if (typeof cluster.summary_confidence === 'number' && cluster.summary_confidence < LOW_SUMMARY_CONFIDENCE) {
+                briefHTML += '<p class="brief-note">Some details in this brief could not be matched to the source articles. Check the sources below before relying on it.</p>';
+            }
             briefContent.innerHTML = briefHTML;
         } else {
             briefContent.innerHTML = '<p>This story may be too hard for me to put simply. Click through to the full article to learn more instead.</p>';